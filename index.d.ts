@@ -9,28 +9,107 @@ Split(['#a', '#b'], {
 */
 declare module 'split.js' {
     interface SplitOptions {
-        sizes?: number[];
+        sizes?: (number | string)[];
         minSize?: number[] | number;
+        maxSize?: number[] | number;
+        fixed?: boolean[] | boolean;
         gutterSize?: number;
         snapOffset?: number;
+        snapPoints?: (number | string)[] | ((gutterIndex: number) => (number | string)[]);
+        snapRadius?: number;
+        keyboardStep?: number;
+        onGutterDoubleClick?: "reset" | "collapse" | ((payload: SplitEventPayload) => void);
+        collapseThreshold?: number;
+        cascade?: boolean;
         direction?: "horizontal" | "vertical";
+        mode?: "flex" | "flex-grow" | "grid";
+        animate?: boolean | number | {
+            duration?: number;
+            easing?: "linear" | "ease-in" | "ease-out" | "ease-in-out" | ((t: number) => number);
+        };
+        persist?: string | {
+            key: string;
+            storage?: "local" | "session" | "hash" | SplitStorage;
+            version?: number;
+        };
+        history?: boolean | number;
+        breakpoints?: {
+            maxWidth: number;
+            direction?: "horizontal" | "vertical";
+            stack?: boolean;
+        }[];
         cursor?: "col-resize" | "row-resize";
+        dragOverlay?: boolean;
         gutter?: (index: number, direction: string) => HTMLElement;
         elementStyle?: (dimension: string, elementSize: number, gutterSize: number) => any;
         gutterStyle?: (dimension: string, gutterSize: number) => any;
         onDrag?: ()  => void;
         onDragStart?: () => void;
         onDragEnd?: () => void;
+        root?: Document | Element | DocumentFragment;
+        window?: Window;
+        document?: Document;
+    }
+
+    interface SplitStorage {
+        get: (key: string) => string | null | undefined;
+        set: (key: string, value: string) => void;
     }
 
     interface SplitObject {
-        setSizes: (sizes: number[]) => void;
-        getSizes: () => number[];
-        collapse: (index: number) => void;
+        setSizes: (sizes: (number | string)[]) => Promise<void>;
+        getSizes: () => (number | string)[];
+        collapse: (index: number) => Promise<void>;
+        expand: (index: number) => Promise<void>;
+        toggle: (index: number) => Promise<void>;
+        isCollapsed: (index: number) => boolean;
+        getCollapsed: () => boolean[];
+        addPane: (element: HTMLElement | string, options?: {
+            index?: number;
+            size?: number | string;
+            minSize?: number;
+            maxSize?: number;
+            fixed?: boolean;
+        }) => void;
+        removePane: (index: number) => HTMLElement | undefined;
+        undo: () => void;
+        redo: () => void;
+        canUndo: () => boolean;
+        canRedo: () => boolean;
+        setDirection: (direction: "horizontal" | "vertical") => void;
+        on: (event: SplitEvent, fn: (payload: SplitEventPayload) => void) => void;
+        off: (event?: SplitEvent, fn?: (payload: SplitEventPayload) => void) => void;
+        destroy: () => void;
+    }
+
+    type SplitEvent = "dragstart" | "drag" | "dragend" | "collapse" | "expand" | "sizeschange" | "overconstrained" | "destroy";
+
+    interface SplitEventPayload {
+        gutterIndex?: number;
+        sizes: (number | string)[];
+        pixelSizes: number[];
+        event?: Event;
+        index?: number;
+        snapPoint?: number | string | null;
+    }
+
+    interface SplitLayoutNode extends SplitOptions {
+        id?: string;
+        children?: SplitLayoutNode[];
+    }
+
+    interface SplitLayout {
+        getSplit: (path?: number[]) => SplitObject | undefined;
+        getSizes: (path?: number[]) => (number | string)[] | undefined;
+        serialize: () => SplitLayoutNode;
         destroy: () => void;
     }
 
     function Split(elements: HTMLElement | string[], options?: SplitOptions): SplitObject;
 
+    namespace Split {
+        function layout(container: HTMLElement | string, tree: SplitLayoutNode): SplitLayout;
+    }
+
     export = Split;
 }
@@ -2,8 +2,6 @@
 // maintainable code, while at the same time manually optimizing for tiny minified file size,
 // browser compatibility without additional requirements, graceful fallback (IE8 is supported)
 // and very few assumptions about the user's page layout.
-const global = window
-const document = global.document
 
 // Save a couple long function names that are used frequently.
 // This optimization saves around 400 bytes.
@@ -13,21 +11,55 @@ const getBoundingClientRect = 'getBoundingClientRect'
 const HORIZONTAL = 'horizontal'
 const NOOP = () => false
 
-// Figure out if we're in IE8 or not. IE8 will still render correctly,
-// but will be static instead of draggable.
-const isIE8 = global.attachEvent && !global[addEventListener]
+// Browser features, detected when the first split is created rather than when
+// the module is loaded, so it can be imported where there's no DOM, like when
+// rendering on a server.
+let isIE8
+let hasPointerEvents
+let calc
+
+// Helper function gets the window and document to use, from the `window` and
+// `document` options, the document of the `root` option or of element `el`,
+// or the globals, in that order. That way splits in iframes and popups listen
+// to their own window. Throws if there's no DOM at all.
+const getEnvironment = (options, el) => {
+    const node = options.root || (el && el.nodeType ? el : undefined)
+    const owner = node && (node.nodeType === 9 ? node : node.ownerDocument)
+    const doc = options.document || (options.window && options.window.document) || owner ||
+        (typeof document !== 'undefined' ? document : undefined)
+    const win = options.window || (doc && doc.defaultView) ||
+        (typeof window !== 'undefined' ? window : undefined)
+
+    if (!win || !doc) {
+        throw new Error('Split.js needs a DOM. Pass `window` and `document` in the options where there are no globals.')
+    }
 
-// Helper function determines which prefixes of CSS calc we need.
-// We only need to do this once on startup, when this anonymous function is called.
-//
-// Tests -webkit, -moz and -o prefixes. Modified from StackOverflow:
-// http://stackoverflow.com/questions/16625140/js-feature-detection-to-detect-the-usage-of-webkit-calc-over-calc/16625167#16625167
-const calc = `${['', '-webkit-', '-moz-', '-o-'].filter(prefix => {
-    const el = document.createElement('div')
-    el.style.cssText = `width:${prefix}calc(9px)`
+    return { global: win, document: doc }
+}
+
+// Helper function detects the browser features, once.
+const detectFeatures = (global, document) => {
+    if (calc) return
 
-    return (!!el.style.length)
-}).shift()}calc`
+    // Figure out if we're in IE8 or not. IE8 will still render correctly,
+    // but will be static instead of draggable.
+    isIE8 = global.attachEvent && !global[addEventListener]
+
+    // Pointer Events unify mouse, touch and pen input, and allow capturing the pointer.
+    // Where they're missing, separate mouse and touch events are used instead.
+    hasPointerEvents = !!global.PointerEvent
+
+    // Determine which prefixes of CSS calc we need.
+    //
+    // Tests -webkit, -moz and -o prefixes. Modified from StackOverflow:
+    // http://stackoverflow.com/questions/16625140/js-feature-detection-to-detect-the-usage-of-webkit-calc-over-calc/16625167#16625167
+    calc = `${['', '-webkit-', '-moz-', '-o-'].filter(prefix => {
+        const el = document.createElement('div')
+        el.style.cssText = `width:${prefix}calc(9px)`
+
+        return (!!el.style.length)
+    }).shift()}calc`
+}
 
 // Helper function checks if its argument is a string-like type
 const isString = v => (typeof v === 'string' || v instanceof String)
@@ -35,14 +67,78 @@ const isString = v => (typeof v === 'string' || v instanceof String)
 // Helper function allows elements and string selectors to be used
 // interchangeably. In either case an element is returned. This allows us to
 // do `Split([elem1, elem2])` as well as `Split(['#id1', '#id2'])`.
-const elementOrSelector = el => {
+// Selectors are looked up in `root`, a document or an element.
+const elementOrSelector = (el, root) => {
     if (isString(el)) {
-        return document.querySelector(el)
+        return root.querySelector(el)
     }
 
     return el
 }
 
+// Helper function runs `executor` in a Promise where they're supported, or directly
+// otherwise. Promises are only returned as a convenience, so nothing depends on them.
+const promise = (global, executor) => {
+    if (global.Promise) {
+        return new global.Promise(executor)
+    }
+
+    executor(NOOP)
+    return undefined
+}
+
+// Helper functions to schedule and cancel animation frames, with a fallback
+// to timeouts at roughly 60fps for IE9.
+const requestFrame = (global, fn) => (
+    global.requestAnimationFrame ? global.requestAnimationFrame(fn) : setTimeout(fn, 16)
+)
+const cancelFrame = (global, id) => (
+    global.cancelAnimationFrame ? global.cancelAnimationFrame(id) : clearTimeout(id)
+)
+
+// Easing functions for animations, named like their CSS counterparts.
+const easings = {
+    'linear': t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => t * (2 - t),
+    'ease-in-out': t => (t < 0.5 ? 2 * t * t : -1 + ((4 - (2 * t)) * t)),
+}
+
+// Storage adapters to persist sizes with, by name, created for a window. An adapter
+// gets and sets strings by key, like Web Storage. The URL hash keeps each key as
+// a `key=value` parameter, replacing the history entry so resizing doesn't add
+// to the back button.
+const storageAdapter = name => global => ({
+    get: key => global[name].getItem(key),
+    set: (key, value) => global[name].setItem(key, value),
+})
+
+const getHashParams = global => global.location.hash.slice(1).split('&').filter(param => param)
+
+const adapters = {
+    local: storageAdapter('localStorage'),
+    session: storageAdapter('sessionStorage'),
+    hash: global => ({
+        get: key => getHashParams(global)
+            .map(param => param.split('=').map(decodeURIComponent))
+            .filter(param => param[0] === key)
+            .map(param => param[1])
+            .shift(),
+        set: (key, value) => {
+            const hash = getHashParams(global)
+                .filter(param => decodeURIComponent(param.split('=')[0]) !== key)
+                .concat(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+                .join('&')
+
+            if (global.history.replaceState) {
+                global.history.replaceState(null, '', `#${hash}`)
+            } else {
+                global.location.hash = hash
+            }
+        },
+    }),
+}
+
 // Helper function gets a property from the properties object, with a default fallback
 const getOption = (options, propName, def) => {
     const value = options[propName]
@@ -53,7 +149,7 @@ const getOption = (options, propName, def) => {
 }
 
 // Default options
-const defaultGutterFn = (i, gutterDirection) => {
+const defaultGutterFn = (i, gutterDirection, document) => {
     const gut = document.createElement('div')
     gut.className = `gutter gutter-${gutterDirection}`
     return gut
@@ -77,6 +173,26 @@ const defaultElementStyleFn = (dim, size, gutSize) => {
 
 const defaultGutterStyleFn = (dim, gutSize) => ({ [dim]: `${gutSize}px` })
 
+// The camelCase min size property for a dimension, as `style` expects it.
+const getMinDimension = dim => (dim === 'width' ? 'minWidth' : 'minHeight')
+
+// Flex mode styles. Elements neither grow nor shrink, so their basis is exactly
+// their size, like the default width or height. The min size is reset so the
+// content of an element doesn't stop it from getting smaller than its basis.
+const flexElementStyleFn = (dim, size, gutSize) => ({
+    flex: isString(size) ? `0 0 ${size}` : `0 0 ${calc}(${size}% - ${gutSize}px)`,
+    [getMinDimension(dim)]: '0',
+})
+
+// With `mode: 'flex-grow'`, sizes are grow weights sharing the space the
+// gutters leave, so nothing is subtracted for them.
+const flexGrowElementStyleFn = (dim, size) => ({
+    flex: isString(size) ? `0 0 ${size}` : `${size} 1 0px`,
+    [getMinDimension(dim)]: '0',
+})
+
+const flexGutterStyleFn = (dim, gutSize) => ({ flex: `0 0 ${gutSize}px` })
+
 // The main function to initialize a split. Split.js thinks about each pair
 // of elements as an independant pair. Dragging the gutter between two elements
 // only changes the dimensions of elements in that pair. This is key to understanding
@@ -107,45 +223,189 @@ const defaultGutterStyleFn = (dim, gutSize) => ({ [dim]: `${gutSize}px` })
 //    `pair` object, a gutter, and special isFirst/isLast properties.
 // 5. Actually size the pair elements, insert gutters and attach event listeners.
 const Split = (ids, options = {}) => {
+    // The window and document of the split, for everything from selectors to
+    // listening to drags. Selectors are looked up in `root`.
+    const { global, document } = getEnvironment(options, ids[0])
+    const root = getOption(options, 'root', document)
+
+    detectFeatures(global, document)
+
     let dimension
     let clientAxis
     let position
+    let gridTemplate
+    let marginProps
+    let isReversed
+    let cursor
     let elements
+    const pairs = []
 
     // All DOM elements in the split should have a common parent. We can grab
     // the first elements parent and hope users read the docs because the
     // behavior will be whacky otherwise.
-    const parent = elementOrSelector(ids[0]).parentNode
-    const parentFlexDirection = global.getComputedStyle(parent).flexDirection
+    const firstElement = elementOrSelector(ids[0], root)
+    const parent = firstElement.parentNode
+
+    // Elements slotted into a web component stay children of its host, but are
+    // laid out by the parent of their slot, in the shadow tree. That's where
+    // styles are read from and grid templates set. A slot right in the shadow
+    // root is laid out by the host itself.
+    const slot = firstElement.assignedSlot
+    const layoutParent = slot ? slot.parentNode.host || slot.parentNode : parent
+    let parentFlexDirection = global.getComputedStyle(layoutParent).flexDirection
+    let isRtl = global.getComputedStyle(layoutParent).direction === 'rtl'
+
+    // Standardize persist to an object, since it can be passed as just a key.
+    // The storage is an adapter name or a custom `{ get, set }` adapter.
+    const persist = isString(options.persist) ? { key: options.persist } : options.persist
+    let adapter
+    let version
+
+    // An unknown adapter name is like storage that can't be used: nothing is
+    // restored or saved, and the sizes come from the options.
+    if (persist) {
+        adapter = getOption(persist, 'storage', 'local')
+        adapter = isString(adapter) ? adapters[adapter] && adapters[adapter](global) : adapter
+        version = getOption(persist, 'version', 0)
+    }
+
+    // Get the persisted sizes, if there are any and they still fit the split.
+    // Sizes from another version, or for a different number of elements, are
+    // discarded. So is anything that can't be read, like when storage is disabled.
+    function restoreSizes () {
+        try {
+            const stored = JSON.parse(adapter.get(persist.key))
+
+            if (stored.version === version && Array.isArray(stored.sizes) &&
+                stored.sizes.length === ids.length &&
+                stored.sizes.filter(size => typeof size === 'number' || isString(size)).length === ids.length) {
+                return stored.sizes
+            }
+        } catch (e) {
+            // Fall back to the sizes from the options.
+        }
+
+        return undefined
+    }
 
     // Set default options.sizes to equal percentages of the parent element.
-    const sizes = getOption(options, 'sizes') || ids.map(() => 100 / ids.length)
+    // Persisted sizes take precedence, but the initial sizes are kept to reset to.
+    const initialSizes = getOption(options, 'sizes') || ids.map(() => 100 / ids.length)
+    const sizes = (persist && restoreSizes()) || initialSizes
 
     // Standardize minSize to an array if it isn't already. This allows minSize
     // to be passed as a number.
     const minSize = getOption(options, 'minSize', 100)
     const minSizes = Array.isArray(minSize) ? minSize : ids.map(() => minSize)
+    const maxSize = getOption(options, 'maxSize', Infinity)
+    const maxSizes = Array.isArray(maxSize) ? maxSize : ids.map(() => maxSize)
+
+    // Standardize fixed to an array too. Fixed elements are sized in pixels,
+    // so they keep their size when the parent is resized.
+    const fixed = getOption(options, 'fixed', false)
+    const fixedPanes = Array.isArray(fixed) ? fixed : ids.map(() => fixed)
     const gutterSize = getOption(options, 'gutterSize', 10)
     const snapOffset = getOption(options, 'snapOffset', 30)
-    const direction = getOption(options, 'direction', HORIZONTAL)
-    const cursor = getOption(options, 'cursor', direction === HORIZONTAL ? 'ew-resize' : 'ns-resize')
-    const gutter = getOption(options, 'gutter', defaultGutterFn)
-    const elementStyle = getOption(options, 'elementStyle', defaultElementStyleFn)
-    const gutterStyle = getOption(options, 'gutterStyle', defaultGutterStyleFn)
+    const snapPoints = getOption(options, 'snapPoints', [])
+    const snapRadius = getOption(options, 'snapRadius', 10)
+    const cascade = getOption(options, 'cascade', false)
+    const collapseThreshold = getOption(options, 'collapseThreshold', null)
+
+    // Undo history: `true`, or the number of changes that can be undone.
+    const historyOption = getOption(options, 'history', false)
+    const historyDepth = historyOption === true ? 50 : historyOption || 0
+    let historyEntries = []
+    let historyIndex = -1
+    const keyboardStep = getOption(options, 'keyboardStep', 10)
+    const dragOverlay = getOption(options, 'dragOverlay', false)
+    const onGutterDoubleClick = getOption(options, 'onGutterDoubleClick')
+    const mode = getOption(options, 'mode')
+    const isGrid = mode === 'grid'
+    const isFlexGrow = mode === 'flex-grow'
+    const isFlex = mode === 'flex' || isFlexGrow
+
+    // In flex mode, the direction follows the parent's flex-direction unless it's set.
+    // It can be changed later with `setDirection`.
+    let direction = getOption(options, 'direction', (
+        isFlex && /^column/.test(parentFlexDirection) ? 'vertical' : HORIZONTAL
+    ))
+
+    const gutter = getOption(options, 'gutter', (i, gutterDirection) => (
+        defaultGutterFn(i, gutterDirection, document)
+    ))
+    let defaultElementStyle = defaultElementStyleFn
+
+    if (isFlexGrow) {
+        defaultElementStyle = flexGrowElementStyleFn
+    } else if (isFlex) {
+        defaultElementStyle = flexElementStyleFn
+    }
+
+    const elementStyle = getOption(options, 'elementStyle', defaultElementStyle)
+    const gutterStyle = getOption(options, 'gutterStyle', isFlex ? flexGutterStyleFn : defaultGutterStyleFn)
+
+    // Standardize animate to a duration and an easing function. animate can be
+    // `true` for the defaults, a duration in milliseconds, or an object with
+    // a duration and an easing, either named or a function of time from 0 to 1.
+    const animate = getOption(options, 'animate', false)
+    let duration = 0
+    let easing = easings['ease-in-out']
+
+    if (animate === true) {
+        duration = 200
+    } else if (typeof animate === 'number') {
+        duration = animate
+    } else if (animate) {
+        const easingOption = getOption(animate, 'easing', easing)
+
+        duration = getOption(animate, 'duration', 200)
+        easing = typeof easingOption === 'function' ? easingOption : easings[easingOption]
+    }
+
+    // The running animation, if any. It's stopped as soon as something else
+    // changes the sizes, like a drag.
+    let animation
+
+    // Breakpoints switch the direction, or stack the elements, below a width of the
+    // parent. `baseDirection` is the direction when no breakpoint applies.
+    // Stacked elements are shown at full size, one after the other, without gutters.
+    // In flex modes, the parent is turned into a column while stacked, and its own
+    // flex-direction is kept in `unstackedFlexDirection` to put back.
+    const breakpoints = getOption(options, 'breakpoints', [])
+    let baseDirection = direction
+    let stacked = false
+    let unstackedFlexDirection = ''
+
+    // Watches the size of the parent, for breakpoints and min sizes.
+    let observer
+
+    // Event listeners added with `on`, by event name. Adding and removing
+    // listeners replaces the arrays, so it's safe while an event is emitted.
+    let listeners = {}
 
     // 2. Initialize a bunch of strings based on the direction we're splitting.
     // A lot of the behavior in the rest of the library is paramatized down to
-    // rely on CSS strings and classes.
-    if (direction === HORIZONTAL) {
-        dimension = 'width'
-        clientAxis = 'clientX'
-        position = 'left'
-    } else if (direction === 'vertical') {
-        dimension = 'height'
-        clientAxis = 'clientY'
-        position = 'top'
+    // rely on CSS strings and classes. This is done again when the direction changes.
+    function initDirection () {
+        if (direction === HORIZONTAL) {
+            dimension = 'width'
+            clientAxis = 'clientX'
+            position = 'left'
+            gridTemplate = 'gridTemplateColumns'
+            marginProps = ['marginLeft', 'marginRight']
+        } else if (direction === 'vertical') {
+            dimension = 'height'
+            clientAxis = 'clientY'
+            position = 'top'
+            gridTemplate = 'gridTemplateRows'
+            marginProps = ['marginTop', 'marginBottom']
+        }
+
+        cursor = getOption(options, 'cursor', direction === HORIZONTAL ? 'ew-resize' : 'ns-resize')
     }
 
+    initDirection()
+
     // 3. Define the dragging helper functions, and a few helpers to go with them.
     // Each helper is bound to a pair object that contains its metadata. This
     // also makes it easy to store references to listeners that that will be
@@ -179,69 +439,169 @@ const Split = (ids, options = {}) => {
         })
     }
 
-    // Actually adjust the size of elements `a` and `b` to `offset` while dragging.
-    // calc is used to allow calc(percentage + gutterpx) on the whole split instance,
-    // which allows the viewport to be resized without additional logic.
-    // Element a's size is the same as offset. b's size is total size - a size.
-    // Both sizes are calculated from the initial parent percentage,
-    // then the gutter size is subtracted.
-    function adjust (offset) {
-        const a = elements[this.a]
-        const b = elements[this.b]
-        const percentage = a.size + b.size
+    // Get the gutter size that's subtracted from the element at index `i`.
+    // The first and last elements only have half a gutter. In grid mode,
+    // gutters are tracks of their own, so nothing is subtracted, and neither
+    // is it for flex grow weights. In flex mode, the margins of the element
+    // take up space like the gutters do, so they're subtracted too.
+    function getElementGutterSize (i) {
+        const margins = elements[i].margins
+
+        if (isGrid || isFlexGrow) {
+            return 0
+        }
+
+        if (i === 0 || i === elements.length - 1) {
+            return (gutterSize / 2) + margins[0] + margins[1]
+        }
 
-        a.size = (offset / this.size) * percentage
-        b.size = (percentage - ((offset / this.size) * percentage))
+        return gutterSize + margins[0] + margins[1]
+    }
 
-        setElementSize(a.element, a.size, this.aGutterSize)
-        setElementSize(b.element, b.size, this.bGutterSize)
+    // Check if any element is fixed.
+    function hasFixed () {
+        return elements.filter(element => element.fixed).length > 0
     }
 
-    // drag, where all the magic happens. The logic is really quite simple:
+    // Measure the sizes of the elements in pixels.
+    function getPixelSizes () {
+        return elements.map(element => element.element[getBoundingClientRect]()[dimension])
+    }
+
+    // Get the space taken by fixed elements, gutters included. The sizes of the
+    // other elements are percentages of the space that's left.
+    function getFixedSize () {
+        return elements.reduce((sum, element, i) => (
+            element.fixed ? sum + element.size + getElementGutterSize(i) : sum
+        ), 0)
+    }
+
+    // Get the sum of the sizes of the elements that aren't fixed. It's 100 for
+    // percentages, but not for flex grow weights or `fr` units.
+    function getTotalSize () {
+        return elements
+            .filter(element => !element.fixed && !isString(element.size))
+            .reduce((sum, element) => sum + element.size, 0)
+    }
+
+    // Remove the size styles Split.js set on an element.
+    function clearElementStyle (element) {
+        const style = element.element.style
+
+        style[dimension] = ''
+
+        if (isFlex) {
+            style.flex = ''
+            style[getMinDimension(dimension)] = ''
+        }
+    }
+
+    // Apply the sizes of the elements at `indexes`, or of all elements, to their styles.
+    // Stacked elements get the full size instead, keeping their sizes for later.
+    // In flex modes, they're stacked in a column, so their size styles are cleared.
     //
-    // 1. Ignore if the pair is not dragging.
-    // 2. Get the offset of the event.
-    // 3. Snap offset to min if within snappable range (within min + snapOffset).
-    // 4. Actually adjust each element in the pair to offset.
+    // In grid mode, the sizes are tracks of a single template on the parent, with
+    // the gutters as tracks in between, so all of them are written at once however
+    // many changed. Numbers are fr units, with a min of 0 so the content of an
+    // element doesn't stop it from shrinking. CSS values, like `200px` or
+    // `minmax(100px, 1fr)`, are used as they are.
     //
-    // ---------------------------------------------------------------------
-    // |    | <- a.minSize               ||              b.minSize -> |    |
-    // |    |  | <- this.snapOffset      ||     this.snapOffset -> |  |    |
-    // |    |  |                         ||                        |  |    |
-    // |    |  |                         ||                        |  |    |
-    // ---------------------------------------------------------------------
-    // | <- this.start                                        this.size -> |
-    function drag (e) {
-        let offset
-        const a = elements[this.a]
-        const b = elements[this.b]
-
-        if (!this.dragging) return
+    // Fixed elements are set in pixels. Other elements share the space they leave,
+    // so their share of it is subtracted like the gutters, and they all change
+    // when a fixed element does. fr units and grow weights share it by themselves.
+    function applySizes (indexes) {
+        if (stacked && isGrid) {
+            layoutParent.style[gridTemplate] = 'minmax(0, 1fr)'
+        } else if (stacked && isFlex) {
+            (indexes || elements.map((element, i) => i)).forEach(i => {
+                clearElementStyle(elements[i])
+            })
+        } else if (stacked) {
+            (indexes || elements.map((element, i) => i)).forEach(i => {
+                setElementSize(elements[i].element, 100, 0)
+            })
+        } else if (isGrid) {
+            layoutParent.style[gridTemplate] = elements.map((element, i) => {
+                let track = `minmax(0, ${element.size}fr)`
+
+                if (element.fixed) {
+                    track = `${element.size}px`
+                } else if (isString(element.size)) {
+                    track = element.size
+                }
 
-        // Get the offset of the event from the first side of the
-        // pair `this.start`. Supports touch events, but not multitouch, so only the first
-        // finger `touches[0]` is counted.
-        if ('touches' in e) {
-            offset = e.touches[0][clientAxis] - this.start
+                return i > 0 ? `${gutterSize}px ${track}` : track
+            }).join(' ')
         } else {
-            offset = e[clientAxis] - this.start
-        }
+            const fixedSize = isFlexGrow ? 0 : getFixedSize()
+            const applied = (!fixedSize && indexes) || elements.map((element, i) => i)
+
+            applied.forEach(i => {
+                const element = elements[i]
+                const gutSize = getElementGutterSize(i)
 
-        // If within snapOffset of min or max, set offset to min or max.
-        // snapOffset buffers a.minSize and b.minSize, so logic is opposite for both.
-        // Include the appropriate gutter sizes to prevent overflows.
-        if (offset <= a.minSize + snapOffset + this.aGutterSize) {
-            offset = a.minSize + this.aGutterSize
-        } else if (offset >= this.size - (b.minSize + snapOffset + this.bGutterSize)) {
-            offset = this.size - (b.minSize + this.bGutterSize)
+                if (element.fixed) {
+                    setElementSize(element.element, `${element.size}px`, gutSize)
+                } else if (isString(element.size)) {
+                    setElementSize(element.element, element.size, gutSize)
+                } else {
+                    const fixedShare = (element.size / 100) * fixedSize
+
+                    setElementSize(element.element, element.size, gutSize + fixedShare)
+                }
+            })
         }
+    }
 
-        // Actually adjust the size.
-        adjust.call(this, offset)
+    // Measure the size of the whole split in pixels, the space the sizes share.
+    // Gutter tracks in grid mode aren't part of it.
+    function getSplitSize () {
+        return getPixelSizes().reduce((sum, size, i) => sum + size + getElementGutterSize(i), 0)
+    }
 
-        // Call the drag callback continously. Don't do anything too intensive
-        // in this callback.
-        getOption(options, 'onDrag', NOOP)()
+    // Set the sizes of all elements from their sizes in pixels, gutters excluded.
+    // Fixed elements take their size in pixels, the others their percentage of
+    // the space that's left.
+    function setPixelSizes (pixels) {
+        const flexSize = elements.reduce((sum, element, i) => (
+            element.fixed ? sum : sum + pixels[i] + getElementGutterSize(i)
+        ), 0)
+
+        elements.forEach((element, i) => {
+            if (element.fixed) {
+                element.size = pixels[i]
+            } else if (flexSize > 0) {
+                element.size = ((pixels[i] + getElementGutterSize(i)) / flexSize) * 100
+            }
+        })
+    }
+
+    // In grid mode, tracks given as CSS values can't be dragged as they are.
+    // Measure the elements of `pair` and turn their sizes into numbers, so the
+    // layout looks the same but their tracks are in fr units. The other tracks
+    // keep their CSS values, and their fr units if they have them, so the new
+    // tracks are scaled to match. Cascading can change every element, so all
+    // tracks are turned into fr units.
+    function convertTracks (pair) {
+        const indexes = cascade ? elements.map((element, i) => i) : [pair.a, pair.b]
+
+        if (!isGrid || !indexes.filter(i => isString(elements[i].size)).length) return
+
+        const pixels = getPixelSizes()
+        const total = pixels.reduce((sum, size, i) => (elements[i].fixed ? sum : sum + size), 0)
+        const others = elements.map((element, i) => i).filter(i => (
+            indexes.indexOf(i) < 0 && !elements[i].fixed && !isString(elements[i].size) &&
+            elements[i].size > 0 && pixels[i] > 0
+        ))
+        const scale = others.length ? elements[others[0]].size / pixels[others[0]] : 100 / total
+
+        indexes.forEach(i => {
+            if (!elements[i].fixed) {
+                elements[i].size = pixels[i] * scale
+            }
+        })
+
+        applySizes()
     }
 
     // Cache some important sizes when drag starts, so we don't have to do that
@@ -267,272 +627,1756 @@ const Split = (ids, options = {}) => {
 
         this.size = aBounds[dimension] + bBounds[dimension] + this.aGutterSize + this.bGutterSize
         this.start = aBounds[position]
-    }
 
-    // stopDragging is very similar to startDragging in reverse.
-    function stopDragging () {
-        const self = this
-        const a = elements[self.a].element
-        const b = elements[self.b].element
-
-        if (self.dragging) {
-            getOption(options, 'onDragEnd', NOOP)()
+        // In grid mode, the gutter is a track right after `a`, so grabbing the
+        // middle of it is half a gutter past the end of `a`. The same goes for
+        // flex grow weights, past the margin of `a`. Otherwise, the pair starts
+        // at the leading margin of `a`, since margins count towards the sizes.
+        if (isGrid || isFlexGrow) {
+            this.start += elements[this.a].margins[1] + (gutterSize / 2)
+        } else {
+            this.start -= elements[this.a].margins[0]
         }
 
-        self.dragging = false
+        // Cascading needs the sizes of all elements, in percentages and pixels.
+        // Percentages map to pixels through the size of the whole split, as
+        // shares of the total of the sizes.
+        // With fixed elements, they don't, so everything is measured.
+        if (cascade && hasFixed()) {
+            this.startSizes = elements.map(element => element.size)
+            this.splitSize = getSplitSize()
+            this.startPixels = getPixelSizes()
+        } else if (cascade) {
+            this.startSizes = elements.map(element => element.size)
+            this.totalSize = getTotalSize()
+            this.splitSize = (this.size / (elements[this.a].size + elements[this.b].size)) *
+                this.totalSize
+            this.startPixels = this.startSizes.map((size, i) => (
+                ((size / this.totalSize) * this.splitSize) - getElementGutterSize(i)
+            ))
+        }
+    }
 
-        // Remove the stored event listeners. This is why we store them.
-        global[removeEventListener]('mouseup', self.stop)
-        global[removeEventListener]('touchend', self.stop)
-        global[removeEventListener]('touchcancel', self.stop)
-        global[removeEventListener]('mousemove', self.move)
-        global[removeEventListener]('touchmove', self.move)
+    // Get where the gutter of the pair currently is, as an offset from `start`.
+    // Pairs with a fixed element are measured, since their sizes are in different units.
+    function getOffset () {
+        const a = elements[this.a]
+        const b = elements[this.b]
 
-        // Clear bound function references
-        self.stop = null
-        self.move = null
+        if (a.fixed || b.fixed) {
+            return a.element[getBoundingClientRect]()[dimension] + this.aGutterSize
+        }
 
-        a[removeEventListener]('selectstart', NOOP)
-        a[removeEventListener]('dragstart', NOOP)
-        b[removeEventListener]('selectstart', NOOP)
-        b[removeEventListener]('dragstart', NOOP)
+        return (a.size / (a.size + b.size)) * this.size
+    }
 
-        a.style.userSelect = ''
-        a.style.webkitUserSelect = ''
-        a.style.MozUserSelect = ''
-        a.style.pointerEvents = ''
+    // Get the range the offset of a pair of `size` pixels can move in. The lower
+    // bound is the first element at its min size, or the second element at its
+    // max size, whichever is further. The upper bound is the same in reverse.
+    // Include the appropriate gutter sizes to prevent overflows.
+    function getOffsetBounds (size) {
+        const a = elements[this.a]
+        const b = elements[this.b]
 
-        b.style.userSelect = ''
-        b.style.webkitUserSelect = ''
-        b.style.MozUserSelect = ''
-        b.style.pointerEvents = ''
+        return [
+            Math.max(a.minSize + this.aGutterSize, size - (b.maxSize + this.bGutterSize)),
+            Math.min(size - (b.minSize + this.bGutterSize), a.maxSize + this.aGutterSize),
+        ]
+    }
 
-        self.gutter.style.cursor = ''
-        self.parent.style.cursor = ''
-        document.body.style.cursor = ''
+    // Get the sizes of the elements. Fixed elements are in pixels, as CSS values,
+    // so the sizes can be passed to `setSizes` as they are.
+    function getSizes () {
+        return elements.map(element => (element.fixed ? `${element.size}px` : element.size))
     }
 
-    // startDragging calls `calculateSizes` to store the inital size in the pair object.
-    // It also adds event listeners for mouse/touch events,
-    // and prevents selection while dragging so avoid the selecting text.
-    function startDragging (e) {
-        // Alias frequently used variables to save space. 200 bytes.
-        const self = this
-        const a = elements[self.a].element
-        const b = elements[self.b].element
+    // Save the current sizes, if they're persisted.
+    function saveSizes () {
+        if (!persist) return
+
+        try {
+            adapter.set(persist.key, JSON.stringify({
+                version,
+                sizes: elements.map(element => element.size),
+            }))
+        } catch (e) {
+            // Sizes just aren't saved when storage is full or disabled.
+        }
+    }
 
-        // Call the onDragStart callback.
-        if (!self.dragging) {
-            getOption(options, 'onDragStart', NOOP)()
+    // Get the state of the split, as passed to event listeners.
+    function getPayload (gutterIndex, event) {
+        return {
+            gutterIndex,
+            sizes: getSizes(),
+            pixelSizes: getPixelSizes(),
+            event,
         }
+    }
 
-        // Don't actually drag the element. We emulate that in the drag function.
-        e.preventDefault()
+    // Call the listeners of event `name` with the state of the split. Pixel sizes
+    // are measured, so nothing is done for events without listeners.
+    // `extra` adds event specific properties, like the `index` of the element
+    // that collapsed or expanded, or the `snapPoint` of a drag.
+    function emit (name, gutterIndex, event, extra) {
+        const fns = listeners[name]
 
-        // Set the dragging property of the pair object.
-        self.dragging = true
+        if (!fns || !fns.length) return
 
-        // Create two event listeners bound to the same pair object and store
-        // them in the pair object.
-        self.move = drag.bind(self)
-        self.stop = stopDragging.bind(self)
+        const payload = getPayload(gutterIndex, event)
 
-        // All the binding. `window` gets the stop events in case we drag out of the elements.
-        global[addEventListener]('mouseup', self.stop)
-        global[addEventListener]('touchend', self.stop)
-        global[addEventListener]('touchcancel', self.stop)
-        global[addEventListener]('mousemove', self.move)
-        global[addEventListener]('touchmove', self.move)
+        Object.keys(extra || {}).forEach(key => {
+            payload[key] = extra[key]
+        })
 
-        // Disable selection. Disable!
-        a[addEventListener]('selectstart', NOOP)
-        a[addEventListener]('dragstart', NOOP)
-        b[addEventListener]('selectstart', NOOP)
-        b[addEventListener]('dragstart', NOOP)
+        fns.forEach(fn => fn(payload))
+    }
 
-        a.style.userSelect = 'none'
-        a.style.webkitUserSelect = 'none'
-        a.style.MozUserSelect = 'none'
-        a.style.pointerEvents = 'none'
+    // Keep the ARIA attributes of each gutter in sync with the element sizes.
+    // A gutter is a separator that moves along the whole split, so the values are
+    // percentages of the split: `aria-valuenow` is where the gutter currently sits,
+    // `aria-valuemin` and `aria-valuemax` are as far as the min and max sizes let it move.
+    // The sizes are shares of their total, like flex grow weights or `fr` units.
+    //
+    // `splitSize` is the size of the split in pixels, used to convert min and max sizes
+    // into percentages. If it isn't passed, the split is measured to get it.
+    // It's unknown when the split isn't rendered, so only the current value
+    // is set in that case. With fixed elements, percentages of the split need
+    // it, so nothing is set at all.
+    function updateAria (size) {
+        const splitSize = size === undefined ? getSplitSize() : size
+        const total = getTotalSize()
+        let shares = elements.map(element => (
+            total > 0 ? (element.size / total) * 100 : element.size
+        ))
+
+        if (hasFixed()) {
+            if (!(splitSize > 0)) return
+
+            const flexShare = (splitSize - getFixedSize()) / splitSize
+
+            shares = elements.map((element, i) => (
+                element.fixed
+                    ? ((element.size + getElementGutterSize(i)) / splitSize) * 100
+                    : shares[i] * flexShare
+            ))
+        }
 
-        b.style.userSelect = 'none'
-        b.style.webkitUserSelect = 'none'
-        b.style.MozUserSelect = 'none'
-        b.style.pointerEvents = 'none'
+        pairs.forEach(pair => {
+            const a = shares[pair.a]
+            const b = shares[pair.b]
+
+            // Sum the sizes of the elements before `a`. Since the pair elements are
+            // switched for reversed flex directions, count from `a` away from `b`.
+            let before = 0
+            shares.forEach((share, i) => {
+                if ((i - pair.a) * (pair.a - pair.b) > 0) {
+                    before += share
+                }
+            })
 
-        // Set the cursor at multiple levels
-        self.gutter.style.cursor = cursor
-        self.parent.style.cursor = cursor
-        document.body.style.cursor = cursor
+            const now = before + a
 
-        // Cache the initial sizes of the pair.
-        calculateSizes.call(self)
+            pair.gutter.setAttribute('aria-valuenow', Math.round(now))
+
+            if (splitSize > 0) {
+                const bounds = getOffsetBounds.call(pair, ((a + b) / 100) * splitSize)
+
+                pair.gutter.setAttribute('aria-valuemin', Math.round(before + ((bounds[0] / splitSize) * 100)))
+                pair.gutter.setAttribute('aria-valuemax', Math.round(before + ((bounds[1] / splitSize) * 100)))
+            }
+        })
     }
 
-    // 5. Create pair and element objects. Each pair has an index reference to
-    // elements `a` and `b` of the pair (first and second elements).
-    // Loop through the elements while pairing them off. Every pair gets a
-    // `pair` object, a gutter, and isFirst/isLast properties.
-    //
-    // Basic logic:
-    //
-    // - Starting with the second element `i > 0`, create `pair` objects with
-    //   `a = i - 1` and `b = i`
-    // - Set gutter sizes based on the _pair_ being first/last. The first and last
-    //   pair have gutterSize / 2, since they only have one half gutter, and not two.
-    // - Create gutter elements and add event listeners.
-    // - Set the size of the elements, minus the gutter sizes.
-    //
-    // -----------------------------------------------------------------------
-    // |     i=0     |         i=1         |        i=2       |      i=3     |
-    // |             |       isFirst       |                  |     isLast   |
-    // |           pair 0                pair 1             pair 2           |
-    // |             |                     |                  |              |
-    // -----------------------------------------------------------------------
-    const pairs = []
-    elements = ids.map((id, i) => {
-        // Create the element object.
-        const element = {
-            element: elementOrSelector(id),
-            size: sizes[i],
-            minSize: minSizes[i],
+    // Add the sizes and collapsed states to the undo history, dropping whatever
+    // could be redone. Changes the user didn't make, like keeping the min sizes,
+    // `replace` the current entry instead, so they aren't undone one by one, and
+    // whatever could be redone is kept.
+    // Entries keep the DOM elements the states belong to, and the element each
+    // collapsed element gave its size to, so they still apply after panes are
+    // added or removed.
+    function recordHistory (replace) {
+        if (!historyDepth) return
+
+        const entry = elements.map(element => ({
+            element: element.element,
+            size: element.size,
+            collapsed: element.collapsed && {
+                size: element.collapsed.size,
+                pixelSize: element.collapsed.pixelSize,
+                neighbour: elements[element.collapsed.neighbour].element,
+            },
+        }))
+        const current = historyEntries[historyIndex]
+
+        if (current && current.length === entry.length && current.every((state, i) => (
+            state.element === entry[i].element && state.size === entry[i].size &&
+            !state.collapsed === !entry[i].collapsed
+        ))) {
+            return
         }
 
-        let pair
+        if (replace && current) {
+            historyEntries[historyIndex] = entry
+            return
+        }
 
-        if (i > 0) {
-            // Create the pair object with its metadata.
-            pair = {
-                a: i - 1,
-                b: i,
-                dragging: false,
-                isFirst: (i === 1),
-                isLast: (i === ids.length - 1),
-                direction,
-                parent,
-            }
+        historyEntries = historyEntries.slice(0, historyIndex + 1)
+        historyEntries.push(entry)
 
-            // For first and last pairs, first and last gutter width is half.
-            pair.aGutterSize = gutterSize
-            pair.bGutterSize = gutterSize
+        if (historyEntries.length > historyDepth + 1) {
+            historyEntries.shift()
+        }
 
-            if (pair.isFirst) {
-                pair.aGutterSize = gutterSize / 2
-            }
+        historyIndex = historyEntries.length - 1
+    }
 
-            if (pair.isLast) {
-                pair.bGutterSize = gutterSize / 2
+    // Restore the sizes and collapsed states of an entry of the undo history, for
+    // the elements that are still in the split. Elements added since keep their
+    // size, and the restored ones share what they leave, in their sizes from the
+    // entry. Elements that gave their size to a removed element can't get it back.
+    function restoreHistory (entry) {
+        const findIndex = el => elements.map(element => element.element).indexOf(el)
+        const total = getTotalSize()
+        const restored = []
+
+        entry.forEach(state => {
+            const i = findIndex(state.element)
+            const n = state.collapsed ? findIndex(state.collapsed.neighbour) : -1
+
+            if (i < 0) return
+
+            elements[i].size = state.size
+            elements[i].collapsed = n < 0 ? null : {
+                size: state.collapsed.size,
+                pixelSize: state.collapsed.pixelSize,
+                neighbour: n,
             }
+            restored.push(i)
+        })
 
-            // if the parent has a reverse flex-direction, switch the pair elements.
-            if (parentFlexDirection === 'row-reverse' || parentFlexDirection === 'column-reverse') {
-                const temp = pair.a
-                pair.a = pair.b
-                pair.b = temp
-            }
+        if (restored.length < elements.length || entry.length > restored.length) {
+            const others = elements
+                .filter((element, i) => restored.indexOf(i) < 0 && !isString(element.size))
+                .reduce((sum, element) => (element.fixed ? sum : sum + element.size), 0)
+            const scaled = restored.filter(i => !elements[i].fixed && !isString(elements[i].size))
+            const current = scaled.reduce((sum, i) => sum + elements[i].size, 0)
+
+            scaled.forEach(i => {
+                if (current > 0) {
+                    elements[i].size = (elements[i].size / current) * Math.max(total - others, 0)
+                }
+            })
         }
 
-        // Determine the size of the current element. IE8 is supported by
-        // staticly assigning sizes without draggable gutters. Assigns a string
-        // to `size`.
-        //
-        // IE9 and above
-        if (!isIE8) {
-            // Create gutter elements for each pair.
-            if (i > 0) {
-                const gutterElement = gutter(i, direction)
-                setGutterSize(gutterElement, gutterSize)
+        applySizes()
+        updateAria()
+        saveSizes()
+        emit('sizeschange')
+    }
 
-                gutterElement[addEventListener]('mousedown', startDragging.bind(pair))
-                gutterElement[addEventListener]('touchstart', startDragging.bind(pair))
+    // Save and announce the sizes after they changed, once per change.
+    // A drag is one change, however many times the gutter moved, so it's
+    // also one entry in the undo history. See `recordHistory` for `replace`.
+    function sizesChanged (gutterIndex, event, replace) {
+        saveSizes()
+        recordHistory(replace)
+        emit('sizeschange', gutterIndex, event)
+    }
+
+    // Actually adjust the size of elements `a` and `b` to `offset` while dragging.
+    // calc is used to allow calc(percentage + gutterpx) on the whole split instance,
+    // which allows the viewport to be resized without additional logic.
+    // Element a's size is the same as offset. b's size is total size - a size.
+    // Both sizes are calculated from the initial parent percentage,
+    // then the gutter size is subtracted.
+    //
+    // If either element is fixed, the pair is resized in pixels, keeping the other
+    // elements as they are.
+    function adjust (offset) {
+        const a = elements[this.a]
+        const b = elements[this.b]
+        const percentage = a.size + b.size
 
-                parent.insertBefore(gutterElement, element.element)
+        if (a.fixed || b.fixed) {
+            const pixels = getPixelSizes()
 
-                pair.gutter = gutterElement
-            }
-        }
+            pixels[this.a] = offset - this.aGutterSize
+            pixels[this.b] = this.size - offset - this.bGutterSize
 
-        // Set the element size to our determined size.
-        // Half-size gutters for first and last elements.
-        if (i === 0 || i === ids.length - 1) {
-            setElementSize(element.element, element.size, gutterSize / 2)
+            setPixelSizes(pixels)
         } else {
-            setElementSize(element.element, element.size, gutterSize)
+            a.size = (offset / this.size) * percentage
+            b.size = (percentage - ((offset / this.size) * percentage))
         }
 
-        const computedSize = element.element[getBoundingClientRect]()[dimension]
+        // Once resized, neither element is collapsed anymore.
+        a.collapsed = null
+        b.collapsed = null
 
-        if (computedSize < element.minSize) {
-            element.minSize = computedSize
-        }
+        applySizes([this.a, this.b])
 
-        // After the first iteration, and we have a pair object, append it to the
-        // list of pairs.
-        if (i > 0) {
-            pairs.push(pair)
+        // The pair size is cached, so it can be used to tell how big the whole split is.
+        // Fixed elements take up part of the split, so it's measured instead.
+        updateAria(hasFixed() ? undefined : (this.size / percentage) * getTotalSize())
+    }
+
+    // The cascading version of `adjust`. The element growing is the one on the
+    // side the gutter moves away from, the elements shrinking are on the other
+    // side, nearest first, each down to its min size. Sizes are recalculated
+    // from the start of the drag every time, so dragging back during the same
+    // drag restores the elements that were pushed.
+    function cascadeAdjust (offset) {
+        const step = this.b - this.a
+        const delta = offset - (this.startPixels[this.a] + this.aGutterSize)
+        const towards = delta > 0 ? step : -step
+        const pixels = this.startPixels.slice()
+        const changed = []
+        let remaining = Math.abs(delta)
+
+        pixels[delta > 0 ? this.a : this.b] += remaining
+
+        for (let i = delta > 0 ? this.b : this.a; elements[i] && remaining > 0; i += towards) {
+            const room = Math.max(0, this.startPixels[i] - elements[i].minSize)
+            const taken = Math.min(remaining, room)
+
+            pixels[i] -= taken
+            remaining -= taken
         }
 
-        return element
-    })
+        const previous = elements.map(element => element.size)
 
-    function setSizes (newSizes) {
+        // Pixels map back to percentages through the size of the whole split.
+        // With fixed elements taking up part of it, all sizes are set from pixels.
+        if (hasFixed()) {
+            setPixelSizes(pixels)
+        } else {
+            elements.forEach((element, i) => {
+                element.size = this.startSizes[i] +
+                    (((pixels[i] - this.startPixels[i]) / this.splitSize) * this.totalSize)
+            })
+        }
+
+        elements.forEach((element, i) => {
+            if (element.size !== previous[i]) {
+                element.collapsed = null
+                changed.push(i)
+            }
+        })
+
+        applySizes(changed)
+
+        updateAria(this.splitSize)
+    }
+
+    // When cascading, the gutter can move past the min size of the next element,
+    // by shrinking the elements after it in turn. How far it can move is how
+    // much all elements on one side can shrink, or how much the element on the
+    // other side can grow, whichever is less. `step` walks from `a` towards `b`.
+    function getCascadeBounds () {
+        const step = this.b - this.a
+        const offset = this.startPixels[this.a] + this.aGutterSize
+
+        const room = (from, towards) => {
+            let total = 0
+
+            for (let i = from; elements[i]; i += towards) {
+                total += Math.max(0, this.startPixels[i] - elements[i].minSize)
+            }
+
+            return total
+        }
+        const aRoom = elements[this.a].maxSize - this.startPixels[this.a]
+        const bRoom = elements[this.b].maxSize - this.startPixels[this.b]
+
+        return [
+            offset - Math.min(room(this.a, -step), bRoom),
+            offset + Math.min(room(this.b, step), aRoom),
+        ]
+    }
+
+    // Get the bounds of the pair while dragging or moving it with the keyboard.
+    function getDragBounds () {
+        if (cascade) {
+            return getCascadeBounds.call(this)
+        }
+
+        return getOffsetBounds.call(this, this.size)
+    }
+
+    // Snap `offset` to `bounds`, if within `snap` pixels of them.
+    // The bounds are hard limits, so anything past them is snapped too.
+    // snap buffers both bounds, so logic is opposite for both.
+    function constrainOffset (offset, snap, bounds) {
+        if (offset <= bounds[0] + snap) {
+            return bounds[0]
+        } else if (offset >= bounds[1] - snap) {
+            return bounds[1]
+        }
+
+        return offset
+    }
+
+    // Snap `offset` to the closest of `snapPoints` within `snapRadius` pixels.
+    // Points are positions of the gutter from the start of the split, in percents
+    // of its size or pixel values like `'200px'`, or a function of the gutter index
+    // that returns them. The point snapped to is kept on the pair for drag events.
+    // The split is measured from the outer edges of its elements, gutters included,
+    // and starts on the right or bottom when the elements are laid out backwards.
+    function snapToPoints (offset) {
+        const points = typeof snapPoints === 'function'
+            ? snapPoints(pairs.indexOf(this))
+            : snapPoints
+
+        this.snapPoint = null
+
+        if (!points || !points.length) return offset
+
+        const rects = elements.map(element => element.element[getBoundingClientRect]())
+        const splitStart = rects.reduce((start, rect) => Math.min(start, rect[position]), Infinity)
+        const splitEnd = rects.reduce((end, rect) => (
+            Math.max(end, rect[position] + rect[dimension])
+        ), -Infinity)
+        const splitSize = splitEnd - splitStart
+        let snapped = offset
+        let distance = snapRadius
+
+        points.forEach(point => {
+            const pixels = isString(point) ? parseFloat(point) : (point / 100) * splitSize
+            const pointOffset = (isReversed ? splitEnd - pixels : splitStart + pixels) - this.start
+
+            if (Math.abs(pointOffset - offset) <= distance) {
+                distance = Math.abs(pointOffset - offset)
+                snapped = pointOffset
+                this.snapPoint = point
+            }
+        })
+
+        return snapped
+    }
+
+    // Get the offset that collapses element `i` of the pair, giving its size to
+    // the other element. Collapsing ignores the min sizes, but the other element
+    // can't grow past its max size.
+    function getCollapseOffset (i) {
+        const a = elements[this.a]
+        const b = elements[this.b]
+
+        if (this.a === i) {
+            return Math.max(this.aGutterSize, this.size - (b.maxSize + this.bGutterSize))
+        }
+
+        return Math.min(this.size - this.bGutterSize, a.maxSize + this.aGutterSize)
+    }
+
+    // Get the element of the pair that's dragged more than `collapseThreshold`
+    // pixels past its min size, which collapses instead of stopping there.
+    // Cascading drags stop at the min sizes, as always.
+    function getDragCollapsing (offset) {
+        if (collapseThreshold === null || cascade) return null
+
+        if (offset < (elements[this.a].minSize + this.aGutterSize) - collapseThreshold) {
+            return this.a
+        } else if (offset > (this.size - (elements[this.b].minSize + this.bGutterSize)) +
+            collapseThreshold) {
+            return this.b
+        }
+
+        return null
+    }
+
+    // Keep the collapsed state of the pair in sync while dragging with a
+    // `collapseThreshold`, the same state `collapse` and `expand` use, and emit
+    // their events when it changes. `collapsed` is the state before the move.
+    // Elements collapsed by dragging expand to their size before the drag.
+    function updateDragCollapsed (collapsing, collapsed, e) {
+        const gutterIndex = pairs.indexOf(this)
+        const indexes = [this.a, this.b]
+
+        indexes.forEach((i, k) => {
+            if (i === collapsing) {
+                elements[i].collapsed = collapsed[k] || {
+                    size: this.expandTo[k].size,
+                    pixelSize: this.expandTo[k].pixelSize,
+                    neighbour: indexes[1 - k],
+                }
+
+                if (!collapsed[k]) {
+                    emit('collapse', gutterIndex, e, { index: i })
+                }
+            } else if (collapsed[k]) {
+                emit('expand', gutterIndex, e, { index: i })
+            }
+        })
+    }
+
+    // Move the gutter of a pair back within its bounds, for sizes that weren't
+    // set by dragging. CSS values, collapsed elements and pairs that aren't
+    // rendered are left alone.
+    function constrainPair () {
+        const a = elements[this.a]
+        const b = elements[this.b]
+
+        if (stacked || isString(a.size) || isString(b.size) || a.collapsed || b.collapsed) return
+
+        calculateSizes.call(this)
+
+        const offset = getOffset.call(this)
+        const bounds = getOffsetBounds.call(this, this.size)
+        const constrained = constrainOffset.call(this, offset, 0, bounds)
+
+        if (this.size > this.aGutterSize + this.bGutterSize && constrained !== offset) {
+            adjust.call(this, constrained)
+        }
+    }
+
+    // Keep every element at its min size when the split gets smaller, like when
+    // the window shrinks. The space missing from elements below their min size
+    // is taken from the elements that have room to spare, proportionally to that
+    // room. Collapsed elements are left alone. If there isn't enough room,
+    // whatever there is is shared out and an `overconstrained` event is emitted.
+    function enforceMinSizes () {
+        const first = pairs[0]
+
+        if (stacked || !first || elements.filter(element => isString(element.size)).length) return
+
+        const splitSize = getSplitSize()
+        const gutters = elements.reduce((sum, element, i) => sum + getElementGutterSize(i), 0)
+
+        // The split isn't rendered, or there's no room for anything but the gutters.
+        if (!(splitSize > gutters)) return
+
+        // Fixed elements keep their size, so the other elements share what's left.
+        // Their sizes are shares of it, which only add up to 100 for percentages,
+        // not for flex grow weights or `fr` units.
+        const flexSize = splitSize - getFixedSize()
+        const total = elements.reduce((sum, element) => (
+            element.fixed ? sum : sum + element.size
+        ), 0)
+
+        if (!total) return
+
+        const pixels = elements.map((element, i) => (
+            ((element.size / total) * flexSize) - getElementGutterSize(i)
+        ))
+        const deficits = elements.map((element, i) => (
+            element.collapsed || element.fixed ? 0 : Math.max(element.minSize - pixels[i], 0)
+        ))
+        const rooms = elements.map((element, i) => (
+            element.collapsed || element.fixed ? 0 : Math.max(pixels[i] - element.minSize, 0)
+        ))
+        const deficit = deficits.reduce((sum, value) => sum + value, 0)
+        const room = rooms.reduce((sum, value) => sum + value, 0)
+        const given = Math.min(deficit, room)
+
+        // Ignore rounding errors of less than a pixel.
+        if (deficit < 1) return
+
+        if (given > 0) {
+            elements.forEach((element, i) => {
+                const pixelSize = (pixels[i] + ((deficits[i] / deficit) * given)) -
+                    ((rooms[i] / room) * given)
+
+                if (!element.fixed) {
+                    element.size = ((pixelSize + getElementGutterSize(i)) / flexSize) * total
+                }
+            })
+
+            applySizes()
+            updateAria(splitSize)
+            sizesChanged(undefined, undefined, true)
+        }
+
+        if (given < deficit) {
+            emit('overconstrained')
+        }
+    }
+
+    // Get where the pointer of an event is along the split. Supports touch events,
+    // but not multitouch, so only the first finger `touches[0]` is counted.
+    function getClientPosition (e) {
+        return 'touches' in e ? e.touches[0][clientAxis] : e[clientAxis]
+    }
+
+    // drag, where all the magic happens. The logic is really quite simple:
+    //
+    // 1. Ignore if the pair is not dragging.
+    // 2. Get the offset of the event.
+    // 3. Snap offset to min or max if within snappable range (within min + snapOffset).
+    // 4. Actually adjust each element in the pair to offset.
+    //
+    // ---------------------------------------------------------------------
+    // |    | <- a.minSize               ||              b.minSize -> |    |
+    // |    |  | <- this.snapOffset      ||     this.snapOffset -> |  |    |
+    // |    |  |                         ||                        |  |    |
+    // |    |  |                         ||                        |  |    |
+    // ---------------------------------------------------------------------
+    // | <- this.start                                        this.size -> |
+    function drag (e) {
+        let offset
+
+        // Ignore any pointer but the one that started the drag, so a second
+        // finger doesn't make the gutter jump.
+        if (!this.dragging || (hasPointerEvents && e.pointerId !== this.pointerId)) return
+
+        const clientPosition = getClientPosition(e)
+
+        // A click that ends a drag isn't part of a double click. Taps jitter a
+        // little, so it only counts as a drag past a few pixels.
+        if (Math.abs(clientPosition - this.startPosition) > 3) {
+            this.moved = true
+        }
+
+        // Get the offset of the event from the first side of the pair `this.start`.
+        offset = clientPosition - this.start
+
+        // Dragged far enough past a min size, collapse the element. Otherwise
+        // snap to the closest snap point, then if within snapOffset of min or max,
+        // set offset to min or max. Min and max win over snap points.
+        const collapsing = getDragCollapsing.call(this, offset)
+        const collapsed = [elements[this.a].collapsed, elements[this.b].collapsed]
+
+        if (collapsing !== null) {
+            offset = getCollapseOffset.call(this, collapsing)
+            this.snapPoint = null
+        } else {
+            const snapped = snapToPoints.call(this, offset)
+
+            offset = constrainOffset.call(this, snapped, snapOffset, getDragBounds.call(this))
+
+            if (offset !== snapped) {
+                this.snapPoint = null
+            }
+        }
+
+        // Actually adjust the size.
+        if (cascade) {
+            cascadeAdjust.call(this, offset)
+        } else {
+            adjust.call(this, offset)
+        }
+
+        if (collapseThreshold !== null && !cascade) {
+            updateDragCollapsed.call(this, collapsing, collapsed, e)
+        }
+
+        // Call the drag callback continously. Don't do anything too intensive
+        // in this callback.
+        getOption(options, 'onDrag', NOOP)()
+        emit('drag', pairs.indexOf(this), e, { snapPoint: this.snapPoint })
+    }
+
+    // Stop the running animation where it is. Element sizes are updated on every
+    // frame, so they're already correct for whatever happens next.
+    function stopAnimation () {
+        if (animation) {
+            cancelFrame(global, animation.frame)
+            animation.done()
+            animation = null
+        }
+    }
+
+    // Call `change`, which sets new sizes instantly, then animate the elements
+    // from their sizes before to their sizes after it. Min sizes, max sizes and
+    // collapsing are all handled by `change`, the animation only tweens the result.
+    // CSS values can't be tweened, and users that prefer reduced motion don't
+    // get animations at all.
+    //
+    // Returns a Promise that resolves when the animation finishes or is stopped.
+    function transition (change) {
+        stopAnimation()
+
+        const from = elements.map(element => element.size)
+
+        change()
+
+        const to = elements.map(element => element.size)
+        const reducedMotion = global.matchMedia && global.matchMedia('(prefers-reduced-motion: reduce)').matches
+        const tweenable = from.concat(to).filter(isString).length === 0
+
+        return promise(global, done => {
+            if (!duration || reducedMotion || !tweenable || isIE8) {
+                done()
+                return
+            }
+
+            const startTime = Date.now()
+            const step = () => {
+                const t = Math.min(1, (Date.now() - startTime) / duration)
+                const eased = easing(t)
+
+                elements.forEach((element, i) => {
+                    element.size = from[i] + ((to[i] - from[i]) * eased)
+                })
+
+                applySizes()
+
+                if (t < 1) {
+                    animation.frame = requestFrame(global, step)
+                } else {
+                    animation = null
+                    done()
+                }
+            }
+
+            animation = { done }
+            step()
+        })
+    }
+
+    // Get the element to show the cursor on while dragging, wherever the pointer
+    // is: the body, or the host of the shadow root the split is in, so splits in
+    // web components don't change the styles of the page around them.
+    function getCursorElement () {
+        const rootNode = parent.getRootNode ? parent.getRootNode() : document
+
+        return rootNode.host || document.body
+    }
+
+    // stopDragging is very similar to startDragging in reverse.
+    function stopDragging (e) {
+        const self = this
+        const a = elements[self.a].element
+        const b = elements[self.b].element
+
+        // Lifting a secondary pointer doesn't end the drag. Without an event,
+        // the drag is ended by the split itself.
+        if (hasPointerEvents && e && e.pointerId !== self.pointerId) return
+
+        if (self.dragging) {
+            getOption(options, 'onDragEnd', NOOP)()
+            emit('dragend', pairs.indexOf(self), e, { snapPoint: self.snapPoint })
+            sizesChanged(pairs.indexOf(self), e)
+        }
+
+        self.dragging = false
+
+        // Remove the stored event listeners. This is why we store them.
+        if (hasPointerEvents) {
+            global[removeEventListener]('pointerup', self.stop)
+            global[removeEventListener]('pointercancel', self.stop)
+            global[removeEventListener]('pointermove', self.move)
+        } else {
+            global[removeEventListener]('mouseup', self.stop)
+            global[removeEventListener]('touchend', self.stop)
+            global[removeEventListener]('touchcancel', self.stop)
+            global[removeEventListener]('mousemove', self.move)
+            global[removeEventListener]('touchmove', self.move)
+        }
+
+        // Clear bound function references
+        self.stop = null
+        self.move = null
+
+        a[removeEventListener]('selectstart', NOOP)
+        a[removeEventListener]('dragstart', NOOP)
+        b[removeEventListener]('selectstart', NOOP)
+        b[removeEventListener]('dragstart', NOOP)
+
+        a.style.userSelect = ''
+        a.style.webkitUserSelect = ''
+        a.style.MozUserSelect = ''
+        a.style.pointerEvents = ''
+
+        b.style.userSelect = ''
+        b.style.webkitUserSelect = ''
+        b.style.MozUserSelect = ''
+        b.style.pointerEvents = ''
+
+        self.gutter.style.cursor = ''
+        self.parent.style.cursor = ''
+        getCursorElement().style.cursor = ''
+
+        if (self.overlay) {
+            self.overlay.parentNode.removeChild(self.overlay)
+            self.overlay = null
+        }
+    }
+
+    // startDragging calls `calculateSizes` to store the inital size in the pair object.
+    // It also adds event listeners for mouse/touch events,
+    // and prevents selection while dragging so avoid the selecting text.
+    function startDragging (e) {
+        // Alias frequently used variables to save space. 200 bytes.
+        const self = this
+        const a = elements[self.a].element
+        const b = elements[self.b].element
+
+        // Only the primary pointer (the first finger, or a pen or mouse) can drag,
+        // and only with the main button. Anything else would make the gutter jump.
+        if (hasPointerEvents && (!e.isPrimary || e.button !== 0 || self.dragging)) return
+
+        // Dragging takes over from any running animation.
+        stopAnimation()
+        convertTracks(self)
+
+        // Call the onDragStart callback.
+        if (!self.dragging) {
+            getOption(options, 'onDragStart', NOOP)()
+            emit('dragstart', pairs.indexOf(self), e)
+        }
+
+        // Don't actually drag the element. We emulate that in the drag function.
+        e.preventDefault()
+
+        // Set the dragging property of the pair object.
+        self.dragging = true
+        self.moved = false
+        self.startPosition = getClientPosition(e)
+        self.snapPoint = null
+
+        // Create two event listeners bound to the same pair object and store
+        // them in the pair object.
+        self.move = drag.bind(self)
+        self.stop = stopDragging.bind(self)
+
+        // All the binding. `window` gets the stop events in case we drag out of the elements.
+        if (hasPointerEvents) {
+            self.pointerId = e.pointerId
+
+            // Capture the pointer, so the events keep coming even when the pointer
+            // leaves the window. They still bubble up to `window` from the gutter.
+            // Capturing throws for pointers that aren't active, like synthetic ones.
+            try {
+                self.gutter.setPointerCapture(e.pointerId)
+            } catch (err) {
+                // Dragging works without capture, until the pointer leaves the window.
+            }
+
+            global[addEventListener]('pointerup', self.stop)
+            global[addEventListener]('pointercancel', self.stop)
+            global[addEventListener]('pointermove', self.move)
+        } else {
+            global[addEventListener]('mouseup', self.stop)
+            global[addEventListener]('touchend', self.stop)
+            global[addEventListener]('touchcancel', self.stop)
+            global[addEventListener]('mousemove', self.move)
+            global[addEventListener]('touchmove', self.move)
+        }
+
+        // Disable selection. Disable!
+        a[addEventListener]('selectstart', NOOP)
+        a[addEventListener]('dragstart', NOOP)
+        b[addEventListener]('selectstart', NOOP)
+        b[addEventListener]('dragstart', NOOP)
+
+        a.style.userSelect = 'none'
+        a.style.webkitUserSelect = 'none'
+        a.style.MozUserSelect = 'none'
+        a.style.pointerEvents = 'none'
+
+        b.style.userSelect = 'none'
+        b.style.webkitUserSelect = 'none'
+        b.style.MozUserSelect = 'none'
+        b.style.pointerEvents = 'none'
+
+        // Set the cursor at multiple levels
+        self.gutter.style.cursor = cursor
+        self.parent.style.cursor = cursor
+        getCursorElement().style.cursor = cursor
+
+        // Cover the whole viewport while dragging, so iframes and anything else
+        // under the pointer can't swallow the move and up events.
+        if (dragOverlay && !self.overlay) {
+            self.overlay = document.createElement('div')
+            self.overlay.className = 'split-overlay'
+            self.overlay.style.cssText = `position:fixed;top:0;left:0;right:0;bottom:0;z-index:2147483647;cursor:${cursor}`
+            document.body.appendChild(self.overlay)
+        }
+
+        // Cache the initial sizes of the pair.
+        calculateSizes.call(self)
+
+        // Remember what to expand to, for elements collapsed by dragging.
+        self.expandTo = [self.a, self.b].map(i => elements[i].collapsed || {
+            size: elements[i].size,
+            pixelSize: elements[i].element[getBoundingClientRect]()[dimension],
+        })
+    }
+
+    // Keyboard support for the gutter, so the split can be resized without a pointer.
+    // Arrow keys move the gutter by `keyboardStep` pixels, Page Up and Page Down
+    // by ten times that, Home and End all the way to the min sizes. The keys
+    // follow the direction of the split: left/right when horizontal, up/down when
+    // vertical. keyCode is used because `key` isn't available in older browsers.
+    //
+    // Each key press goes through the same snapping as dragging, and calls
+    // the same callbacks as a very short drag would.
+    function keyboardMove (e) {
+        const keys = direction === HORIZONTAL ? [37, 39] : [38, 40]
+        let step
+
+        if (e.keyCode === keys[0]) {
+            step = -keyboardStep
+        } else if (e.keyCode === keys[1]) {
+            step = keyboardStep
+        } else if (e.keyCode === 33) {
+            step = -keyboardStep * 10
+        } else if (e.keyCode === 34) {
+            step = keyboardStep * 10
+        } else if (e.keyCode === 36) {
+            step = -Infinity
+        } else if (e.keyCode === 35) {
+            step = Infinity
+        } else {
+            return
+        }
+
+        e.preventDefault()
+        stopAnimation()
+        convertTracks(this)
+
+        calculateSizes.call(this)
+
+        const offset = getOffset.call(this)
+        const bounds = getDragBounds.call(this)
+        let target = constrainOffset.call(this, offset + step, snapOffset, bounds)
+
+        // Snapping back to where the gutter already is would swallow the key
+        // press, making it impossible to step away from a min size. Skip the
+        // snap in that case, the min sizes still apply.
+        if (Math.abs(target - offset) < 1) {
+            target = constrainOffset.call(this, offset + step, 0, bounds)
+        }
+
+        const gutterIndex = pairs.indexOf(this)
+
+        getOption(options, 'onDragStart', NOOP)()
+        emit('dragstart', gutterIndex, e)
+
+        if (cascade) {
+            cascadeAdjust.call(this, target)
+        } else {
+            adjust.call(this, target)
+        }
+
+        getOption(options, 'onDrag', NOOP)()
+        emit('drag', gutterIndex, e, { snapPoint: null })
+        getOption(options, 'onDragEnd', NOOP)()
+        emit('dragend', gutterIndex, e, { snapPoint: null })
+        sizesChanged(gutterIndex, e)
+    }
+
+    function setSizes (newSizes) {
         newSizes.forEach((newSize, i) => {
-            if (i > 0) {
-                const pair = pairs[i - 1]
-                const a = elements[pair.a]
-                const b = elements[pair.b]
+            elements[i].size = elements[i].fixed ? parseFloat(newSize) : newSize
+            elements[i].collapsed = null
+        })
+
+        applySizes()
+
+        if (!isIE8) {
+            pairs.forEach(pair => constrainPair.call(pair))
+            updateAria()
+        }
+
+        sizesChanged()
+    }
+
+    // Collapse the element at index `i` to 0, giving its size to the element
+    // next to it. Every element except the last collapses towards the front,
+    // the last collapses towards the back, unless the `pair` to collapse in is
+    // given. The size before collapsing and the element that got it are
+    // remembered, so `expand` can give it back.
+    function collapse (i, pair = i === pairs.length ? pairs[i - 1] : pairs[i]) {
+        const element = elements[i]
+
+        if (element.collapsed) return
+
+        convertTracks(pair)
+        calculateSizes.call(pair)
+
+        const size = element.size
+
+        const pixelSize = element.element[getBoundingClientRect]()[dimension]
+
+        adjust.call(pair, getCollapseOffset.call(pair, i))
+
+        element.collapsed = {
+            size,
+            pixelSize,
+            neighbour: pair.a === i ? pair.b : pair.a,
+        }
+
+        emit('collapse', pairs.indexOf(pair), undefined, { index: i })
+        sizesChanged(pairs.indexOf(pair))
+    }
+
+    // Expand a collapsed element back to its size before collapsing, taking the
+    // size back from the element that got it. Other gutters may have been
+    // dragged since, so that element can only give back what it has, and the
+    // pair is kept within its min and max sizes.
+    function expand (i) {
+        const element = elements[i]
+
+        if (!element.collapsed) return
+
+        const n = element.collapsed.neighbour
+        const neighbour = elements[n]
+
+        // With a fixed element, the sizes are in different units, so the size
+        // is given back in pixels.
+        if (element.fixed || neighbour.fixed) {
+            const pixels = getPixelSizes()
+            const amount = Math.min(element.collapsed.pixelSize - pixels[i], pixels[n])
+
+            pixels[i] += amount
+            pixels[n] -= amount
+            setPixelSizes(pixels)
+        } else {
+            const amount = Math.min(element.collapsed.size - element.size, neighbour.size)
+
+            element.size += amount
+            neighbour.size -= amount
+        }
+
+        element.collapsed = null
+
+        applySizes([i, n])
+
+        constrainPair.call(pairs[Math.min(i, n)])
+        updateAria()
 
-                a.size = newSizes[i - 1]
-                b.size = newSize
+        emit('expand', Math.min(i, n), undefined, { index: i })
+        sizesChanged(Math.min(i, n))
+    }
+
+    // Do what `onGutterDoubleClick` says when the gutter of a pair is double clicked:
+    // reset the pair to its initial sizes, toggle collapsing the smaller element,
+    // or call a function with the state of the split, like event listeners.
+    function doubleClickGutter (e) {
+        const a = elements[this.a]
+        const b = elements[this.b]
+
+        if (typeof onGutterDoubleClick === 'function') {
+            onGutterDoubleClick(getPayload(pairs.indexOf(this), e))
+        } else if (onGutterDoubleClick === 'reset') {
+            transition(() => {
+                const newSizes = getSizes()
+
+                // The pair keeps its share of the split, unless a size is in pixels.
+                if (a.fixed || b.fixed || isString(a.initialSize) || isString(b.initialSize)) {
+                    newSizes[this.a] = a.initialSize
+                    newSizes[this.b] = b.initialSize
+                } else {
+                    const scale = (a.size + b.size) / (a.initialSize + b.initialSize)
+
+                    newSizes[this.a] = a.initialSize * scale
+                    newSizes[this.b] = b.initialSize * scale
+                }
+
+                setSizes(newSizes)
+            })
+        } else if (onGutterDoubleClick === 'collapse') {
+            transition(() => {
+                const pixels = getPixelSizes()
+
+                if (a.collapsed) {
+                    expand(this.a)
+                } else if (b.collapsed) {
+                    expand(this.b)
+                } else {
+                    collapse(pixels[this.a] < pixels[this.b] ? this.a : this.b, this)
+                }
+            })
+        }
+    }
+
+    // Count clicks and taps on a gutter, to tell double clicks and double taps.
+    // Touch browsers without Pointer Events don't click after a drag is started,
+    // so taps are counted on touchend instead. Clicks that end a drag don't count.
+    function tapGutter (e) {
+        const now = Date.now()
+
+        if (this.moved || !this.lastTap || now - this.lastTap > 300) {
+            this.lastTap = this.moved ? 0 : now
+            this.moved = false
+            return
+        }
+
+        this.lastTap = 0
+        doubleClickGutter.call(this, e)
+    }
+
+    // 5. Create pair and element objects. Each pair has an index reference to
+    // elements `a` and `b` of the pair (first and second elements).
+    // Loop through the elements while pairing them off. Every pair gets a
+    // `pair` object, a gutter, and isFirst/isLast properties.
+    //
+    // Basic logic:
+    //
+    // - Starting with the second element `i > 0`, create `pair` objects with
+    //   `a = i - 1` and `b = i`
+    // - Set gutter sizes based on the _pair_ being first/last. The first and last
+    //   pair have gutterSize / 2, since they only have one half gutter, and not two.
+    // - Create gutter elements and add event listeners.
+    // - Set the size of the elements, minus the gutter sizes.
+    //
+    // -----------------------------------------------------------------------
+    // |     i=0     |         i=1         |        i=2       |      i=3     |
+    // |             |       isFirst       |                  |     isLast   |
+    // |           pair 0                pair 1             pair 2           |
+    // |             |                     |                  |              |
+    // -----------------------------------------------------------------------
+    // In flex mode, margins are measured once, to be subtracted with the gutters.
+    function measureMargins (element) {
+        if (isFlex) {
+            const computedStyle = global.getComputedStyle(element.element)
+
+            element.margins = marginProps.map(prop => parseFloat(computedStyle[prop]) || 0)
+        } else {
+            element.margins = [0, 0]
+        }
+    }
+
+    // Create the element object for the DOM element `el`.
+    // Fixed elements take their size in pixels, as a number or a CSS value like `'250px'`.
+    // `initialSize` is what double clicking a gutter resets to, if it isn't `size`,
+    // like when `size` was persisted.
+    function createElement (el, size, min, max, isFixed, initialSize = size) {
+        const element = {
+            element: el,
+            size: isFixed ? parseFloat(size) : size,
+            minSize: min,
+            maxSize: max,
+            fixed: !!isFixed,
+        }
+
+        element.initialSize = element.fixed ? `${parseFloat(initialSize)}px` : initialSize
+
+        measureMargins(element)
+
+        return element
+    }
+
+    // Create the pair object for the gutter before the element at index `i`.
+    // Its elements and gutter sizes are set by `updatePairs`, since they change
+    // when elements are added or removed. The gutter isn't inserted yet.
+    function createPair (i) {
+        const pair = {
+            dragging: false,
+            direction,
+            parent,
+        }
+
+        // IE8 is supported by staticly assigning sizes without draggable gutters.
+        //
+        // IE9 and above
+        if (!isIE8) {
+            // Create gutter elements for each pair.
+            const gutterElement = gutter(i, direction)
+            setGutterSize(gutterElement, gutterSize)
+
+            if (hasPointerEvents) {
+                gutterElement[addEventListener]('pointerdown', startDragging.bind(pair))
+
+                // Touch pointers would scroll the page instead of dragging otherwise.
+                gutterElement.style.touchAction = 'none'
+            } else {
+                gutterElement[addEventListener]('mousedown', startDragging.bind(pair))
+                gutterElement[addEventListener]('touchstart', startDragging.bind(pair))
+            }
+
+            gutterElement[addEventListener]('keydown', keyboardMove.bind(pair))
+
+            if (onGutterDoubleClick) {
+                gutterElement[addEventListener]('click', tapGutter.bind(pair))
+
+                if (!hasPointerEvents) {
+                    gutterElement[addEventListener]('touchend', tapGutter.bind(pair))
+                }
+            }
+
+            // Describe the gutter as a focusable separator. It's perpendicular
+            // to the split, so a horizontal split has vertical separators.
+            // Custom gutters can opt out of the tab order with their own tabindex.
+            gutterElement.setAttribute('role', 'separator')
+            gutterElement.setAttribute('aria-orientation', direction === HORIZONTAL ? 'vertical' : HORIZONTAL)
+
+            if (!gutterElement.hasAttribute('tabindex')) {
+                gutterElement.tabIndex = 0
+            }
+
+            // Gutters between slotted elements go into the same named slot,
+            // unless a custom gutter picked its own.
+            if (firstElement.slot && !gutterElement.slot) {
+                gutterElement.slot = firstElement.slot
+            }
+
+            pair.gutter = gutterElement
+        }
+
+        return pair
+    }
+
+    // Whether the elements are laid out backwards. They are when the parent's
+    // flex-direction is reversed along the direction of the split. In right-to-left
+    // parents, horizontal splits are laid out backwards by flex, grid and inline
+    // layouts, but not by floats, so the first two elements are measured to tell.
+    // If they can't be told apart, a reversed flex-direction lays them out left
+    // to right again.
+    function getIsReversed () {
+        const isFlexReversed = parentFlexDirection === (direction === HORIZONTAL ? 'row-reverse' : 'column-reverse')
+
+        if (direction !== HORIZONTAL || !isRtl || elements.length < 2) return isFlexReversed
+
+        const first = elements[0].element[getBoundingClientRect]().left
+        const second = elements[1].element[getBoundingClientRect]().left
+
+        return first === second ? !isFlexReversed : second < first
+    }
+
+    // Point every pair at its elements, after the elements were created, added or removed.
+    // Pair `i` is made of the elements at `a = i` and `b = i + 1`.
+    function updatePairs () {
+        isReversed = getIsReversed()
+
+        pairs.forEach((pair, i) => {
+            pair.a = i
+            pair.b = i + 1
+            pair.isFirst = i === 0
+            pair.isLast = i === pairs.length - 1
+            pair.direction = direction
+
+            // if the parent has a reverse flex-direction or is right-to-left, switch
+            // the pair elements. `a` is always the element before the gutter on the page,
+            // so offsets, keyboard moves and collapsing all work from the left or top.
+            if (isReversed) {
+                pair.a = i + 1
+                pair.b = i
+            }
+
+            // For first and last pairs, first and last gutter width is half.
+            // The gutter sizes follow the elements, which are switched in reverse.
+            pair.aGutterSize = getElementGutterSize(pair.a)
+            pair.bGutterSize = getElementGutterSize(pair.b)
+
+            // The first element of the pair is the one the separator controls.
+            if (pair.gutter) {
+                const controls = elements[pair.a].element.id
+
+                if (controls) {
+                    pair.gutter.setAttribute('aria-controls', controls)
+                } else {
+                    pair.gutter.removeAttribute('aria-controls')
+                }
+            }
+        })
+    }
+
+    elements = ids.map((id, i) => {
+        const el = elementOrSelector(id, root)
+
+        return createElement(el, sizes[i], minSizes[i], maxSizes[i], fixedPanes[i], initialSizes[i])
+    })
+
+    // Starting with the second element, insert a gutter before each element.
+    elements.forEach((element, i) => {
+        if (i > 0) {
+            const pair = createPair(i)
+
+            if (pair.gutter) {
+                parent.insertBefore(pair.gutter, element.element)
+            }
+
+            pairs.push(pair)
+        }
+    })
+
+    updatePairs()
+
+    // Set the element sizes to our determined sizes.
+    applySizes()
+
+    if (!isIE8) {
+        pairs.forEach(pair => constrainPair.call(pair))
+        enforceMinSizes()
+        updateAria()
+        recordHistory()
+    }
+
+    // Scale the percentage sizes of every element but the one at `skip` to add up to
+    // `total`, so space is given or taken proportionally to their sizes. Fixed
+    // elements keep their size, the others share what they leave anyway.
+    function redistribute (total, skip) {
+        const others = elements.filter((element, i) => (
+            i !== skip && !element.fixed && !isString(element.size)
+        ))
+        const current = others.reduce((sum, element) => sum + element.size, 0)
+
+        others.forEach(element => {
+            element.size = current > 0 ? (element.size / current) * total : total / others.length
+        })
+    }
+
+    // Add `el` to the split as the element at `index`, the last by default.
+    // Its size is taken from the other elements, and a gutter is added with it.
+    function addPane (el, paneOptions = {}) {
+        // An equal share, in the units of the other sizes, like fr units or grow weights.
+        const total = getTotalSize()
+        const size = getOption(paneOptions, 'size', (total || 100) / (elements.length + 1))
+        // The instance's minSize and maxSize apply unless they're given per element.
+        const min = getOption(paneOptions, 'minSize', Array.isArray(minSize) ? 100 : minSize)
+        const max = getOption(paneOptions, 'maxSize', Array.isArray(maxSize) ? Infinity : maxSize)
+        const isFixed = getOption(paneOptions, 'fixed', false)
+        const element = createElement(elementOrSelector(el, root), size, min, max, isFixed)
+        const requestedIndex = getOption(paneOptions, 'index', elements.length)
+        const index = Math.max(Math.min(requestedIndex, elements.length), 0)
+        const pair = createPair(index || 1)
+
+        stopAnimation()
+
+        // The element goes before the gutter of the element it's inserted before,
+        // or right after the last element, and its own gutter goes on the side
+        // facing the other elements.
+        let next = elements[elements.length - 1].element.nextSibling
+
+        if (index === 0) {
+            next = elements[0].element
+        } else if (index < elements.length) {
+            next = pairs[index - 1].gutter
+        }
+
+        parent.insertBefore(element.element, next)
+
+        if (pair.gutter) {
+            parent.insertBefore(pair.gutter, index > 0 ? element.element : elements[0].element)
+
+            // Gutters are hidden while the elements are stacked.
+            if (stacked) {
+                pair.gutter.style.display = 'none'
+            }
+        }
+
+        elements.splice(index, 0, element)
+        pairs.splice(Math.max(index - 1, 0), 0, pair)
+
+        // Collapsed elements remember who got their size by index.
+        elements.forEach(item => {
+            if (item.collapsed && item.collapsed.neighbour >= index) {
+                item.collapsed.neighbour += 1
+            }
+        })
+
+        if (!element.fixed && !isString(element.size)) {
+            redistribute(Math.max(total - element.size, 0), index)
+        }
+
+        updatePairs()
+        applySizes()
+
+        pairs.forEach(item => constrainPair.call(item))
+        updateAria()
+        sizesChanged()
+    }
+
+    // Remove the element at `index` from the split, and the gutter that went with it.
+    // Its size is given to the other elements. The removed DOM element is returned.
+    function removePane (index) {
+        const element = elements[index]
+        const pairIndex = index < pairs.length ? index : index - 1
+        const pair = pairs[pairIndex]
+
+        if (!pair) return undefined
+
+        stopAnimation()
+
+        parent.removeChild(pair.gutter)
+        parent.removeChild(element.element)
+        clearElementStyle(element)
+
+        elements.splice(index, 1)
+        pairs.splice(pairIndex, 1)
 
-                setElementSize(a.element, a.size, pair.aGutterSize)
-                setElementSize(b.element, b.size, pair.bGutterSize)
+        // Collapsed elements remember who got their size by index. Elements that
+        // gave their size to the removed element can't get it back.
+        elements.forEach(item => {
+            if (item.collapsed && item.collapsed.neighbour === index) {
+                item.collapsed = null
+            } else if (item.collapsed && item.collapsed.neighbour > index) {
+                item.collapsed.neighbour -= 1
             }
         })
+
+        if (!element.fixed && !isString(element.size)) {
+            redistribute(getTotalSize() + element.size)
+        }
+
+        updatePairs()
+        applySizes()
+
+        pairs.forEach(item => constrainPair.call(item))
+        updateAria()
+        sizesChanged()
+
+        return element.element
+    }
+
+    // Read the flex-direction and direction of the parent again. While stacked in
+    // a flex mode, they're read with the parent's own flex-direction.
+    function readParentStyle () {
+        const style = layoutParent.style
+        const stackedFlexDirection = style.flexDirection
+
+        if (stacked && isFlex) {
+            style.flexDirection = unstackedFlexDirection
+        }
+
+        parentFlexDirection = global.getComputedStyle(layoutParent).flexDirection
+        isRtl = global.getComputedStyle(layoutParent).direction === 'rtl'
+        style.flexDirection = stackedFlexDirection
+    }
+
+    // Switch the split to `newDirection`, keeping the sizes. The size styles are
+    // moved to the other dimension, and the gutters are restyled for it. Gutter
+    // classes like `gutter-horizontal`, from the default gutter function, are
+    // switched too. In flex mode, the parent's flex-direction is read again, so
+    // change it before calling this.
+    function setDirection (newDirection) {
+        if (newDirection === direction) return
+
+        stopAnimation()
+
+        elements.forEach(clearElementStyle)
+
+        if (isGrid) {
+            layoutParent.style[gridTemplate] = ''
+        }
+
+        pairs.forEach(pair => {
+            Object.keys(gutterStyle(dimension, gutterSize)).forEach(prop => {
+                pair.gutter.style[prop] = ''
+            })
+
+            pair.gutter.className = pair.gutter.className
+                .replace(`gutter-${direction}`, `gutter-${newDirection}`)
+        })
+
+        direction = newDirection
+        readParentStyle()
+        initDirection()
+
+        elements.forEach(measureMargins)
+
+        pairs.forEach(pair => {
+            setGutterSize(pair.gutter, gutterSize)
+            pair.gutter.setAttribute('aria-orientation', direction === HORIZONTAL ? 'vertical' : HORIZONTAL)
+        })
+
+        updatePairs()
+        applySizes()
+
+        pairs.forEach(pair => constrainPair.call(pair))
+        updateAria()
+    }
+
+    // Stack the elements, or show them side by side again with their sizes.
+    function setStacked (stack) {
+        if (stack === stacked) return
+
+        stacked = stack
+
+        pairs.forEach(pair => {
+            pair.gutter.style.display = stacked ? 'none' : ''
+        })
+
+        if (isFlex && stacked) {
+            unstackedFlexDirection = layoutParent.style.flexDirection
+            layoutParent.style.flexDirection = 'column'
+        } else if (isFlex) {
+            layoutParent.style.flexDirection = unstackedFlexDirection
+        }
+
+        applySizes()
+
+        pairs.forEach(pair => constrainPair.call(pair))
+        updateAria()
+    }
+
+    // Apply the breakpoint with the smallest `maxWidth` the parent fits in, if any.
+    // Without one, the elements go back to the base direction, unstacked.
+    function updateBreakpoints () {
+        const width = layoutParent[getBoundingClientRect]().width
+        const breakpoint = breakpoints
+            .filter(item => width <= item.maxWidth)
+            .sort((x, y) => x.maxWidth - y.maxWidth)[0] || {}
+
+        setDirection(breakpoint.direction || baseDirection)
+        setStacked(!!breakpoint.stack)
+    }
+
+    // Apply the breakpoints and keep the min sizes when the parent is resized.
+    function resize () {
+        if (breakpoints.length) {
+            updateBreakpoints()
+        }
+
+        enforceMinSizes()
+    }
+
+    // Watch the size of the parent. Without ResizeObserver, only resizing
+    // the window is noticed.
+    if (!isIE8) {
+        if (global.ResizeObserver) {
+            observer = new global.ResizeObserver(resize)
+            observer.observe(layoutParent)
+        } else {
+            global[addEventListener]('resize', resize)
+        }
+
+        if (breakpoints.length) {
+            updateBreakpoints()
+        }
     }
 
     function destroy () {
+        stopAnimation()
+
+        // A drag in progress would leave its overlay, listeners and cursors behind.
+        pairs.forEach(pair => {
+            if (pair.dragging) {
+                stopDragging.call(pair)
+            }
+        })
+
+        emit('destroy')
+        listeners = {}
+
+        if (observer) {
+            observer.disconnect()
+        } else {
+            global[removeEventListener]('resize', resize)
+        }
+
+        if (isGrid) {
+            layoutParent.style[gridTemplate] = ''
+        }
+
+        if (isFlex && stacked) {
+            layoutParent.style.flexDirection = unstackedFlexDirection
+        }
+
         pairs.forEach(pair => {
             pair.parent.removeChild(pair.gutter)
-            elements[pair.a].element.style[dimension] = ''
-            elements[pair.b].element.style[dimension] = ''
         })
+
+        elements.forEach(clearElementStyle)
     }
 
     if (isIE8) {
         return {
-            setSizes,
+            setSizes: newSizes => transition(() => setSizes(newSizes)),
             destroy,
         }
     }
 
     return {
-        setSizes,
-        getSizes () {
-            return elements.map(element => element.size)
+        setSizes: newSizes => transition(() => setSizes(newSizes)),
+        getSizes,
+        getCollapsed () {
+            return elements.map(element => !!element.collapsed)
         },
-        collapse (i) {
-            if (i === pairs.length) {
-                const pair = pairs[i - 1]
-
-                calculateSizes.call(pair)
+        isCollapsed (i) {
+            return !!elements[i].collapsed
+        },
+        collapse: i => transition(() => collapse(i)),
+        expand: i => transition(() => expand(i)),
+        toggle: i => transition(() => {
+            if (elements[i].collapsed) {
+                expand(i)
+            } else {
+                collapse(i)
+            }
+        }),
+        addPane,
+        removePane,
+        undo () {
+            if (historyIndex > 0) {
+                historyIndex -= 1
+                transition(() => restoreHistory(historyEntries[historyIndex]))
+            }
+        },
+        redo () {
+            if (historyIndex < historyEntries.length - 1) {
+                historyIndex += 1
+                transition(() => restoreHistory(historyEntries[historyIndex]))
+            }
+        },
+        canUndo () {
+            return historyIndex > 0
+        },
+        canRedo () {
+            return historyIndex < historyEntries.length - 1
+        },
+        setDirection (newDirection) {
+            baseDirection = newDirection
 
-                if (!isIE8) {
-                    adjust.call(pair, pair.size - pair.bGutterSize)
-                }
+            if (breakpoints.length) {
+                updateBreakpoints()
             } else {
-                const pair = pairs[i]
+                setDirection(newDirection)
+            }
+        },
+        on (name, fn) {
+            listeners[name] = (listeners[name] || []).concat(fn)
+        },
+        off (name, fn) {
+            if (!name) {
+                listeners = {}
+            } else if (!fn) {
+                listeners[name] = []
+            } else if (listeners[name]) {
+                listeners[name] = listeners[name].filter(listener => listener !== fn)
+            }
+        },
+        destroy,
+        parent,
+        pairs,
+    }
+}
+
+// Build a nested layout of splits from a tree, instead of creating each split
+// by hand. Each node of the tree is either a pane, like `{ id: 'editor' }`, or
+// a split of its `children`. Split nodes take the same options as `Split()`.
+//
+// {
+//     direction: 'horizontal',
+//     sizes: [25, 75],
+//     children: [
+//         { id: 'files' },
+//         {
+//             direction: 'vertical',
+//             children: [{ id: 'editor' }, { id: 'terminal' }],
+//         },
+//     ],
+// }
+//
+// Every node gets a new element in the container, with its `id` if it has one.
+// If the container already has an element with that `id`, it's moved into the
+// layout instead, so panes can be filled with content before the layout is built.
+// Destroying the layout puts moved elements back and removes the created ones.
+// Splits are created from the outside in, so nested splits are measured after
+// their parent split has sized them. The instances are kept in a tree shaped
+// like the layout, where panes are `null`, and are found by a `path` of child
+// indexes: `[]` is the outermost split, `[1]` the split in its second child.
+Split.layout = (container, tree) => {
+    const { document } = getEnvironment(tree, container)
+    const root = elementOrSelector(container, getOption(tree, 'root', document))
+
+    // Copy a node without its children.
+    const copyNode = node => {
+        const copy = {}
+
+        Object.keys(node).forEach(key => {
+            if (key !== 'children') {
+                copy[key] = node[key]
+            }
+        })
+
+        return copy
+    }
+
+    // Elements moved into the layout, with where they came from, to put them back.
+    const moved = []
+
+    // Find an element of the container by its id, without a selector, so any id works.
+    const findById = id => {
+        const all = root.getElementsByTagName('*')
+
+        return Array.prototype.filter.call(all, el => el.id === id)[0]
+    }
 
-                calculateSizes.call(pair)
+    const build = (parentElement, node) => {
+        const childElements = node.children.map(child => {
+            const existing = child.id ? findById(child.id) : null
+            const el = existing || document.createElement('div')
 
-                if (!isIE8) {
-                    adjust.call(pair, pair.aGutterSize)
+            if (existing) {
+                moved.push({ el, parentNode: el.parentNode, nextSibling: el.nextSibling })
+            } else {
+                el.className = child.children ? `split split-${child.direction || HORIZONTAL}` : 'split'
+
+                if (child.id) {
+                    el.id = child.id
                 }
             }
+
+            parentElement.appendChild(el)
+            return el
+        })
+
+        const instance = Split(childElements, copyNode(node))
+
+        return {
+            node,
+            instance,
+            elements: childElements,
+            children: node.children.map((child, i) => (
+                child.children ? build(childElements[i], child) : null
+            )),
+        }
+    }
+
+    const built = build(root, tree)
+
+    const getSplit = (path = []) => {
+        const found = path.reduce((current, i) => current && current.children[i], built)
+
+        return found ? found.instance : undefined
+    }
+
+    // Describe the layout as a tree like the one it was built from, with the
+    // current sizes, so it can be saved and built again later.
+    const serialize = current => {
+        const copy = copyNode(current.node)
+
+        copy.sizes = current.instance.getSizes()
+        copy.children = current.node.children.map((child, i) => (
+            current.children[i] ? serialize(current.children[i]) : copyNode(child)
+        ))
+
+        return copy
+    }
+
+    // Destroy nested splits before their parents.
+    const destroy = current => {
+        current.children.forEach(child => {
+            if (child) {
+                destroy(child)
+            }
+        })
+
+        current.instance.destroy()
+    }
+
+    return {
+        getSplit,
+        getSizes (path) {
+            const split = getSplit(path)
+
+            return split ? split.getSizes() : undefined
+        },
+        serialize () {
+            return serialize(built)
+        },
+        destroy () {
+            destroy(built)
+
+            // Put moved elements back in the reverse order they were moved,
+            // so the elements they were next to are where they were too.
+            moved.slice().reverse().forEach(item => {
+                const next = item.nextSibling
+                const isInPlace = next && next.parentNode === item.parentNode
+
+                item.parentNode.insertBefore(item.el, isInPlace ? next : null)
+            })
+
+            built.elements.forEach(el => {
+                if (el.parentNode === root && !moved.some(item => item.el === el)) {
+                    root.removeChild(el)
+                }
+            })
         },
-        destroy,
-        parent: parent,
-        pairs: pairs
     }
 }
 
@@ -11,6 +11,73 @@ function calcParts (expr) {
     }
 }
 
+function keydown (el, keyCode) {
+    var e = document.createEvent('Event')
+
+    e.initEvent('keydown', true, true)
+    e.keyCode = keyCode
+    el.dispatchEvent(e)
+}
+
+function click (el) {
+    var e = document.createEvent('Event')
+
+    e.initEvent('click', true, true)
+    el.dispatchEvent(e)
+}
+
+// Resize the body, then call `fn`. ResizeObserver reports resizes
+// asynchronously, the window resize fallback doesn't.
+function resize (width, fn) {
+    var e = document.createEvent('Event')
+
+    document.body.style.width = width
+    e.initEvent('resize', true, true)
+    window.dispatchEvent(e)
+    setTimeout(fn, 50)
+}
+
+function pointer (el, type, pointerId, clientX) {
+    el.dispatchEvent(new window.PointerEvent(type, {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        pointerId: pointerId,
+        isPrimary: pointerId === 1,
+        button: 0,
+        clientX: clientX,
+    }))
+}
+
+function mouse (el, type, clientX) {
+    var e
+
+    // Older browsers can't construct events, or compose them out of shadow roots.
+    try {
+        e = new window.MouseEvent(type, {
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+            clientX: clientX,
+        })
+    } catch (error) {
+        e = document.createEvent('MouseEvents')
+        e.initMouseEvent(type, true, true, window, 0, 0, 0, clientX, 0, false, false, false, false, 0, null)
+    }
+
+    el.dispatchEvent(e)
+}
+
+// Drag with the primary pointer where Pointer Events are supported, and with the
+// mouse events Split.js falls back to where they aren't.
+function drag (el, type, clientX) {
+    if (window.PointerEvent) {
+        pointer(el, 'pointer' + type, 1, clientX)
+    } else {
+        mouse(el, 'mouse' + type, clientX)
+    }
+}
+
 describe('Split', function() {
     beforeEach(function() {
         document.body.style.width = '800px'
@@ -186,4 +253,1527 @@ describe('Split', function() {
         expect(this.a.style.width).toBe('50%')
         expect(this.b.style.width).toBe('50%')
     })
+
+    it('makes gutters focusable separators', function() {
+        Split(['#a', '#b'])
+
+        var gutter = this.a.nextSibling
+
+        expect(gutter.getAttribute('role')).toBe('separator')
+        expect(gutter.getAttribute('aria-orientation')).toBe('vertical')
+        expect(gutter.getAttribute('aria-controls')).toBe('a')
+        expect(gutter.getAttribute('aria-valuenow')).toBe('50')
+        expect(gutter.tabIndex).toBe(0)
+    })
+
+    it('sets ARIA values from shares of the sizes in flex-grow and grid modes', function() {
+        var split = Split(['#a', '#b'], { mode: 'flex-grow', sizes: [1, 3], minSize: 0 })
+
+        expect(this.a.nextSibling.getAttribute('aria-valuenow')).toBe('25')
+
+        split.destroy()
+
+        if (!('gridTemplateColumns' in document.body.style)) return
+
+        split = Split(['#a', '#b'], { mode: 'grid', sizes: [1, 3], minSize: 0 })
+
+        expect(this.a.nextSibling.getAttribute('aria-valuenow')).toBe('25')
+
+        split.destroy()
+    })
+
+    it('sets ARIA bounds from shares of the sizes when cascading', function() {
+        var split = Split(['#a', '#b', '#c'], {
+            mode: 'flex-grow',
+            sizes: [1, 1, 2],
+            minSize: 0,
+            cascade: true,
+        })
+        var gutter = this.a.nextSibling
+
+        keydown(gutter, 39)
+
+        expect(Number(gutter.getAttribute('aria-valuenow'))).toBe(25)
+        expect(Number(gutter.getAttribute('aria-valuemax'))).toBeGreaterThan(40)
+
+        split.destroy()
+    })
+
+    it('sets separator orientation when direction is vertical', function() {
+        Split(['#a', '#b'], {
+            direction: 'vertical',
+        })
+
+        expect(this.a.nextSibling.getAttribute('aria-orientation')).toBe('horizontal')
+    })
+
+    it('keeps the tabindex of custom gutters', function() {
+        Split(['#a', '#b'], {
+            gutter: function () {
+                var gutter = document.createElement('div')
+                gutter.setAttribute('tabindex', '-1')
+                return gutter
+            },
+        })
+
+        expect(this.a.nextSibling.getAttribute('role')).toBe('separator')
+        expect(this.a.nextSibling.tabIndex).toBe(-1)
+    })
+
+    it('moves the gutter with the keyboard', function() {
+        var split = Split(['#a', '#b'])
+        var gutter = this.a.nextSibling
+
+        keydown(gutter, 39)
+
+        expect(split.getSizes()[0]).toBeCloseTo(51.25)
+        expect(gutter.getAttribute('aria-valuenow')).toBe('51')
+
+        keydown(gutter, 36)
+
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(100, 0)
+        expect(gutter.getAttribute('aria-valuemin')).toBe('13')
+        expect(gutter.getAttribute('aria-valuemax')).toBe('87')
+
+        keydown(gutter, 39)
+
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(110, 0)
+    })
+
+    it('drags the gutter with pointer events', function() {
+        if (!window.PointerEvent) {
+            pending('Pointer Events are not supported')
+        }
+
+        var split = Split(['#a', '#b'])
+        var gutter = this.a.nextSibling
+        var left = this.a.getBoundingClientRect().left
+
+        pointer(gutter, 'pointerdown', 1, left + 400)
+        pointer(gutter, 'pointermove', 1, left + 600)
+        pointer(gutter, 'pointerup', 1, left + 600)
+
+        expect(split.getSizes()[0]).toBeCloseTo(75)
+        expect(gutter.style.touchAction).toBe('none')
+    })
+
+    it('snaps to snap points while dragging', function() {
+        var split = Split(['#a', '#b'], {
+            snapPoints: [25, '600px'],
+            snapRadius: 10,
+        })
+        var gutter = this.a.nextSibling
+        var left = this.a.getBoundingClientRect().left
+        var snapPoints = []
+
+        split.on('drag', function (e) { snapPoints.push(e.snapPoint) })
+
+        drag(gutter, 'down', left + 400)
+        drag(gutter, 'move', left + 205)
+
+        expect(split.getSizes()[0]).toBeCloseTo(25)
+
+        drag(gutter, 'move', left + 592)
+
+        expect(split.getSizes()[0]).toBeCloseTo(75)
+
+        drag(gutter, 'move', left + 500)
+        drag(gutter, 'up', left + 500)
+
+        expect(split.getSizes()[0]).toBeCloseTo(62.5)
+        expect(snapPoints).toEqual([25, '600px', null])
+    })
+
+    it('measures snap points from the start of right-to-left splits', function() {
+        var parent = document.createElement('div')
+
+        parent.style.cssText = 'display: flex; direction: rtl; width: 800px'
+        parent.innerHTML = '<div></div><div></div>'
+        document.body.appendChild(parent)
+
+        var a = parent.firstChild
+        var split = Split([a, parent.lastChild], { snapPoints: [25] })
+        var gutter = a.nextSibling
+        var position = gutter.getBoundingClientRect().left + 5
+        var snapPoint
+
+        split.on('dragend', function (e) { snapPoint = e.snapPoint })
+
+        drag(gutter, 'down', position)
+        drag(gutter, 'move', 595)
+        drag(gutter, 'up', 595)
+
+        expect(a.getBoundingClientRect().left).toBe(605)
+        expect(split.getSizes()[0]).toBeCloseTo(25)
+        expect(snapPoint).toBe(25)
+
+        split.destroy()
+        document.body.removeChild(parent)
+    })
+
+    it('collapses elements dragged past the collapse threshold', function() {
+        var split = Split(['#a', '#b'], {
+            minSize: 100,
+            collapseThreshold: 50,
+        })
+        var gutter = this.a.nextSibling
+        var left = this.a.getBoundingClientRect().left
+        var events = []
+
+        split.on('collapse', function (e) { events.push('collapse ' + e.index) })
+        split.on('expand', function (e) { events.push('expand ' + e.index) })
+
+        drag(gutter, 'down', left + 400)
+        drag(gutter, 'move', left + 60)
+
+        expect(split.isCollapsed(0)).toBe(false)
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(100)
+
+        drag(gutter, 'move', left + 40)
+
+        expect(split.isCollapsed(0)).toBe(true)
+        expect(this.a.getBoundingClientRect().width).toBe(0)
+
+        drag(gutter, 'move', left + 90)
+
+        expect(split.isCollapsed(0)).toBe(false)
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(100)
+
+        drag(gutter, 'move', left + 20)
+        drag(gutter, 'up', left + 20)
+
+        expect(split.isCollapsed(0)).toBe(true)
+        expect(events).toEqual(['collapse 0', 'expand 0', 'collapse 0'])
+
+        split.expand(0)
+
+        expect(split.getSizes()[0]).toBeCloseTo(50)
+    })
+
+    it('covers the page with an overlay while dragging', function() {
+        var split = Split(['#a', '#b'], { dragOverlay: true })
+        var gutter = this.a.nextSibling
+        var left = this.a.getBoundingClientRect().left
+
+        drag(gutter, 'down', left + 400)
+
+        var overlay = document.body.lastChild
+
+        expect(overlay.className).toBe('split-overlay')
+        expect(overlay.style.position).toBe('fixed')
+        expect(overlay.style.cursor).toBe('ew-resize')
+
+        drag(overlay, 'move', left + 600)
+        drag(overlay, 'up', left + 600)
+
+        expect(split.getSizes()[0]).toBeCloseTo(75)
+        expect(overlay.parentNode).toBe(null)
+    })
+
+    it('ends a drag in progress when destroyed', function() {
+        var split = Split(['#a', '#b'], { dragOverlay: true })
+        var gutter = this.a.nextSibling
+        var left = this.a.getBoundingClientRect().left
+        var dragend = jasmine.createSpy('dragend')
+
+        split.on('dragend', dragend)
+        drag(gutter, 'down', left + 400)
+
+        var overlay = document.body.lastChild
+
+        split.destroy()
+
+        expect(dragend).toHaveBeenCalled()
+        expect(overlay.parentNode).toBe(null)
+        expect(document.body.style.cursor).toBe('')
+        expect(this.a.style.pointerEvents).toBe('')
+
+        drag(document.body, 'move', left + 600)
+
+        expect(this.a.style.width).toBe('')
+    })
+
+    it('ignores secondary pointers while dragging', function() {
+        if (!window.PointerEvent) {
+            pending('Pointer Events are not supported')
+        }
+
+        var split = Split(['#a', '#b'])
+        var gutter = this.a.nextSibling
+        var left = this.a.getBoundingClientRect().left
+
+        pointer(gutter, 'pointerdown', 1, left + 400)
+        pointer(gutter, 'pointerdown', 2, left + 200)
+        pointer(gutter, 'pointermove', 2, left + 200)
+        pointer(gutter, 'pointerup', 2, left + 200)
+
+        expect(split.getSizes()[0]).toBeCloseTo(50)
+
+        pointer(gutter, 'pointermove', 1, left + 600)
+        pointer(gutter, 'pointerup', 1, left + 600)
+
+        expect(split.getSizes()[0]).toBeCloseTo(75)
+    })
+
+    it('limits initial sizes to maxSize', function() {
+        Split(['#a', '#b'], {
+            maxSize: [300, Infinity],
+        })
+
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(300, 0)
+        expect(this.b.getBoundingClientRect().width).toBeCloseTo(490, 0)
+    })
+
+    it('limits sizes to maxSize when using setSizes', function() {
+        var split = Split(['#a', '#b'], {
+            maxSize: [Infinity, 300],
+        })
+
+        split.setSizes([10, 90])
+
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(490, 0)
+        expect(this.b.getBoundingClientRect().width).toBeCloseTo(300, 0)
+    })
+
+    it('moves the gutter up to maxSize', function() {
+        Split(['#a', '#b'], {
+            sizes: [25, 75],
+            maxSize: 500,
+        })
+
+        expect(this.b.getBoundingClientRect().width).toBeCloseTo(500, 0)
+
+        keydown(this.a.nextSibling, 35)
+
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(500, 0)
+        expect(this.b.getBoundingClientRect().width).toBeCloseTo(290, 0)
+    })
+
+    it('collapses only as far as maxSize allows', function() {
+        var split = Split(['#a', '#b'], {
+            maxSize: [Infinity, 600],
+        })
+
+        split.collapse(0)
+
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(190, 0)
+        expect(this.b.getBoundingClientRect().width).toBeCloseTo(600, 0)
+    })
+
+    it('stops at the next element min size without cascade', function() {
+        Split(['#a', '#b', '#c'])
+
+        keydown(this.a.nextSibling, 35)
+
+        expect(this.b.getBoundingClientRect().width).toBeCloseTo(100, 0)
+        expect(this.c.getBoundingClientRect().width).toBeCloseTo(261.67, 0)
+    })
+
+    it('pushes the following elements with cascade', function() {
+        Split(['#a', '#b', '#c'], {
+            cascade: true,
+        })
+
+        keydown(this.a.nextSibling, 35)
+
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(580, 0)
+        expect(this.b.getBoundingClientRect().width).toBeCloseTo(100, 0)
+        expect(this.c.getBoundingClientRect().width).toBeCloseTo(100, 0)
+
+        keydown(this.b.nextSibling, 36)
+
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(100, 0)
+        expect(this.b.getBoundingClientRect().width).toBeCloseTo(100, 0)
+        expect(this.c.getBoundingClientRect().width).toBeCloseTo(580, 0)
+    })
+
+    it('restores pushed elements when dragging back with cascade', function() {
+        var split = Split(['#a', '#b', '#c'], {
+            cascade: true,
+        })
+        var gutter = this.a.nextSibling
+        var left = this.a.getBoundingClientRect().left
+
+        drag(gutter, 'down', left + 266.67)
+        drag(gutter, 'move', left + 700)
+
+        expect(this.c.getBoundingClientRect().width).toBeCloseTo(100, 0)
+
+        drag(gutter, 'move', left + 300)
+        drag(gutter, 'up', left + 300)
+
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(295, 0)
+        expect(split.getSizes()[2]).toBeCloseTo(33.33)
+    })
+
+    it('expands collapsed elements to their previous size', function() {
+        var split = Split(['#a', '#b'], {
+            sizes: [30, 70],
+        })
+
+        split.collapse(0)
+
+        expect(split.isCollapsed(0)).toBe(true)
+        expect(this.a.getBoundingClientRect().width).toBe(0)
+
+        split.expand(0)
+
+        expect(split.isCollapsed(0)).toBe(false)
+        expect(split.getSizes()[0]).toBeCloseTo(30)
+        expect(split.getSizes()[1]).toBeCloseTo(70)
+    })
+
+    it('toggles collapse', function() {
+        var split = Split(['#a', '#b'])
+
+        split.toggle(1)
+
+        expect(split.getCollapsed()).toEqual([false, true])
+        expect(this.b.getBoundingClientRect().width).toBe(0)
+
+        split.toggle(1)
+
+        expect(split.getCollapsed()).toEqual([false, false])
+        expect(split.getSizes()[1]).toBeCloseTo(50)
+    })
+
+    it('keeps elements collapsed when other gutters are dragged', function() {
+        var split = Split(['#a', '#b', '#c'])
+
+        split.collapse(0)
+        keydown(this.b.nextSibling, 39)
+
+        expect(split.isCollapsed(0)).toBe(true)
+
+        split.expand(0)
+
+        expect(split.getSizes()[0]).toBeCloseTo(33.33)
+        expect(split.getSizes()[1]).toBeCloseTo(34.58)
+        expect(split.getSizes()[2]).toBeCloseTo(32.08)
+    })
+
+    it('clears collapsed state when the element is resized', function() {
+        var split = Split(['#a', '#b'])
+
+        split.collapse(0)
+        keydown(this.a.nextSibling, 39)
+
+        expect(split.isCollapsed(0)).toBe(false)
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(100, 0)
+
+        split.collapse(0)
+        split.setSizes([40, 60])
+
+        expect(split.isCollapsed(0)).toBe(false)
+    })
+
+    it('animates setSizes', function(done) {
+        if (!window.Promise) {
+            pending('Promises are not supported')
+        }
+
+        var split = Split(['#a', '#b'], {
+            animate: 50,
+        })
+        var a = this.a
+
+        split.setSizes([70, 30]).then(function () {
+            expect(split.getSizes()).toEqual([70, 30])
+            expect(a.style.width).toContain('calc(70% - 5px)')
+            done()
+        })
+
+        expect(split.getSizes()[0]).toBeLessThan(70)
+    })
+
+    it('stops animations when a drag starts', function(done) {
+        if (!window.Promise) {
+            pending('Promises are not supported')
+        }
+
+        var split = Split(['#a', '#b'], {
+            animate: {
+                duration: 10000,
+                easing: 'linear',
+            },
+        })
+
+        split.collapse(0).then(function () {
+            expect(split.getSizes()[0]).toBeGreaterThan(50)
+            expect(split.isCollapsed(0)).toBe(false)
+            done()
+        })
+
+        keydown(this.a.nextSibling, 39)
+    })
+
+    it('sets grid template columns in grid mode', function() {
+        if (!('gridTemplateColumns' in document.body.style)) {
+            pending('CSS Grid is not supported')
+        }
+
+        var split = Split(['#a', '#b', '#c'], {
+            mode: 'grid',
+            sizes: [25, 50, 25],
+            minSize: 0,
+        })
+        var tracks = document.body.style.gridTemplateColumns
+
+        expect(tracks).toContain('25fr')
+        expect(tracks).toContain('50fr')
+        expect(tracks).toContain('10px')
+        expect(this.a.style.width).toBe('')
+
+        split.setSizes([40, 40, 20])
+
+        expect(document.body.style.gridTemplateColumns).toContain('40fr')
+        expect(split.getSizes()).toEqual([40, 40, 20])
+
+        split.destroy()
+
+        expect(document.body.style.gridTemplateColumns).toBe('')
+    })
+
+    it('sets grid template rows in vertical grid mode', function() {
+        if (!('gridTemplateRows' in document.body.style)) {
+            pending('CSS Grid is not supported')
+        }
+
+        var split = Split(['#a', '#b'], {
+            mode: 'grid',
+            direction: 'vertical',
+            sizes: ['200px', 50],
+            minSize: 0,
+        })
+
+        expect(document.body.style.gridTemplateRows).toContain('200px 10px')
+        expect(document.body.style.gridTemplateRows).toContain('50fr')
+
+        split.destroy()
+    })
+
+    it('keeps CSS tracks outside the pair being changed in grid mode', function() {
+        if (!('gridTemplateColumns' in document.body.style)) {
+            pending('CSS Grid is not supported')
+        }
+
+        var split = Split(['#a', '#b', '#c'], {
+            mode: 'grid',
+            sizes: ['200px', 60, 40],
+            minSize: 0,
+        })
+
+        keydown(this.b.nextSibling, 39)
+
+        expect(document.body.style.gridTemplateColumns).toContain('200px 10px')
+        expect(split.getSizes()[0]).toBe('200px')
+
+        var size = split.getSizes()[2]
+
+        keydown(this.a.nextSibling, 39)
+
+        expect(document.body.style.gridTemplateColumns).not.toContain('200px')
+        expect(split.getSizes()[0]).toEqual(jasmine.any(Number))
+        expect(split.getSizes()[2]).toBe(size)
+
+        split.destroy()
+    })
+
+    it('sets flex styles in flex mode', function() {
+        var split = Split(['#a', '#b'], { mode: 'flex' })
+
+        expect(this.a.style.flex).toContain('calc(50% - 5px)')
+        expect(parseInt(this.a.style.minWidth, 10)).toBe(0)
+        expect(this.a.nextSibling.style.flex).toContain('10px')
+
+        split.destroy()
+
+        expect(this.a.style.flex).toBe('')
+        expect(this.a.style.minWidth).toBe('')
+    })
+
+    it('subtracts margins in flex mode', function() {
+        this.a.style.margin = '0 4px'
+
+        Split(['#a', '#b'], { mode: 'flex' })
+
+        expect(this.a.style.flex).toContain('calc(50% - 13px)')
+        expect(this.b.style.flex).toContain('calc(50% - 5px)')
+    })
+
+    it('sets flex grow weights in flex-grow mode', function() {
+        Split(['#a', '#b'], { mode: 'flex-grow', sizes: [25, 75] })
+
+        expect(this.a.style.flex).toContain('25 1')
+        expect(this.b.style.flex).toContain('75 1')
+    })
+
+    it('picks the direction from the parent flex-direction in flex mode', function() {
+        document.body.style.flexDirection = 'column'
+
+        Split(['#a', '#b'], { mode: 'flex' })
+
+        expect(this.a.nextSibling.className).toBe('gutter gutter-vertical')
+        expect(parseInt(this.a.style.minHeight, 10)).toBe(0)
+
+        document.body.style.flexDirection = ''
+    })
+
+    it('switches pairs for reversed flex directions', function() {
+        document.body.style.flexDirection = 'row-reverse'
+
+        var split = Split(['#a', '#b', '#c'], { sizes: [25, 50, 25], minSize: 0 })
+
+        expect(split.pairs[0].a).toBe(1)
+        expect(split.pairs[0].aGutterSize).toBe(10)
+        expect(split.pairs[0].bGutterSize).toBe(5)
+
+        keydown(this.a.nextSibling, 39)
+
+        expect(split.getSizes()[1]).toBeGreaterThan(50)
+
+        split.collapse(0)
+
+        expect(split.getSizes()[0]).toBeLessThan(1)
+
+        document.body.style.flexDirection = ''
+    })
+
+    it('switches pairs for right-to-left parents', function() {
+        document.body.style.display = 'flex'
+        document.body.style.direction = 'rtl'
+
+        var split = Split(['#a', '#b', '#c'], { sizes: [25, 50, 25], minSize: 0 })
+
+        expect(split.pairs[0].a).toBe(1)
+        expect(split.pairs[0].b).toBe(0)
+
+        keydown(this.a.nextSibling, 39)
+
+        expect(split.getSizes()[0]).toBeLessThan(25)
+        expect(split.getSizes()[1]).toBeGreaterThan(50)
+
+        split.collapse(0)
+
+        expect(split.getSizes()[0]).toBeLessThan(1)
+        expect(split.getSizes()[2]).toBeCloseTo(25)
+
+        split.destroy()
+        split = Split(['#a', '#b'], { direction: 'vertical' })
+
+        expect(split.pairs[0].a).toBe(0)
+
+        split.destroy()
+        document.body.style.flexDirection = 'row-reverse'
+        split = Split(['#a', '#b'])
+
+        expect(split.pairs[0].a).toBe(0)
+
+        // Floats are laid out left to right, whatever the direction.
+        split.destroy()
+        document.body.style.flexDirection = ''
+        document.body.style.display = ''
+        split = Split(['#a', '#b'])
+
+        expect(split.pairs[0].a).toBe(0)
+
+        document.body.style.direction = ''
+    })
+
+    it('drags the gutter the right way in right-to-left parents', function() {
+        document.body.style.display = 'flex'
+        document.body.style.direction = 'rtl'
+
+        var split = Split(['#a', '#b'], { sizes: [25, 75], minSize: 0 })
+        var gutter = this.a.nextSibling
+        var position = gutter.getBoundingClientRect().left + 5
+
+        // The first element is on the right, so dragging its gutter to the left grows it.
+        drag(gutter, 'down', position)
+        drag(gutter, 'move', position - 100)
+        drag(gutter, 'up', position - 100)
+
+        expect(this.a.getBoundingClientRect().width).toBeCloseTo(295, 0)
+        expect(this.b.getBoundingClientRect().width).toBeCloseTo(495, 0)
+        expect(split.getSizes()[0]).toBeCloseTo(37.5)
+
+        document.body.style.display = ''
+        document.body.style.direction = ''
+    })
+
+    it('restores and saves persisted sizes', function() {
+        localStorage.setItem('split-test', JSON.stringify({ version: 0, sizes: [30, 70] }))
+
+        var split = Split(['#a', '#b'], { persist: 'split-test', minSize: 0 })
+
+        expect(split.getSizes()).toEqual([30, 70])
+        expect(this.a.style.width).toContain('calc(30% - 5px)')
+
+        split.setSizes([60, 40])
+
+        expect(JSON.parse(localStorage.getItem('split-test')).sizes).toEqual([60, 40])
+
+        localStorage.removeItem('split-test')
+    })
+
+    it('discards persisted sizes from another version or number of elements', function() {
+        var stored = {}
+        var storage = {
+            get: function (key) { return stored[key] },
+            set: function (key, value) { stored[key] = value },
+        }
+
+        stored.sizes = JSON.stringify({ version: 1, sizes: [30, 70] })
+
+        var split = Split(['#a', '#b'], {
+            persist: { key: 'sizes', storage: storage, version: 2 },
+            sizes: [20, 80],
+            minSize: 0,
+        })
+
+        expect(split.getSizes()).toEqual([20, 80])
+
+        split.collapse(0)
+
+        expect(JSON.parse(stored.sizes).version).toBe(2)
+
+        split.destroy()
+
+        var split2 = Split(['#a', '#b', '#c'], {
+            persist: { key: 'sizes', storage: storage, version: 2 },
+            minSize: 0,
+        })
+
+        expect(split2.getSizes()[0]).toBeCloseTo(33.33)
+    })
+
+    it('persists sizes in the URL hash', function() {
+        var split = Split(['#a', '#b'], {
+            persist: { key: 'split', storage: 'hash' },
+            minSize: 0,
+        })
+
+        keydown(this.a.nextSibling, 39)
+
+        expect(decodeURIComponent(window.location.hash)).toContain('split={"version":0')
+
+        window.history.replaceState(null, '', '#split=' + encodeURIComponent('{"version":0,"sizes":[25,75]}'))
+        split.destroy()
+
+        split = Split(['#a', '#b'], {
+            persist: { key: 'split', storage: 'hash' },
+            minSize: 0,
+        })
+
+        expect(split.getSizes()).toEqual([25, 75])
+
+        window.history.replaceState(null, '', window.location.pathname)
+    })
+
+    it('falls back to the sizes option with an unknown storage', function() {
+        var split = Split(['#a', '#b'], {
+            sizes: [30, 70],
+            persist: { key: 'split', storage: 'lokal' },
+            minSize: 0,
+        })
+
+        expect(split.getSizes()).toEqual([30, 70])
+
+        keydown(this.a.nextSibling, 39)
+        split.destroy()
+    })
+
+    it('emits drag events with sizes and the gutter index', function() {
+        var split = Split(['#a', '#b', '#c'], { minSize: 0 })
+        var events = []
+        var payload
+
+        split.on('dragstart', function () { events.push('dragstart') })
+        split.on('drag', function () { events.push('drag') })
+        split.on('dragend', function () { events.push('dragend') })
+        split.on('sizeschange', function (e) { payload = e })
+
+        keydown(this.b.nextSibling, 39)
+
+        expect(events).toEqual(['dragstart', 'drag', 'dragend'])
+        expect(payload.gutterIndex).toBe(1)
+        expect(payload.sizes).toEqual(split.getSizes())
+        expect(payload.pixelSizes.length).toBe(3)
+        expect(payload.event.keyCode).toBe(39)
+    })
+
+    it('emits collapse, expand and destroy events', function() {
+        var split = Split(['#a', '#b'], { minSize: 0 })
+        var collapse = jasmine.createSpy('collapse')
+        var expand = jasmine.createSpy('expand')
+        var destroy = jasmine.createSpy('destroy')
+
+        split.on('collapse', collapse)
+        split.on('expand', expand)
+        split.on('destroy', destroy)
+
+        split.collapse(1)
+
+        expect(collapse).toHaveBeenCalledWith(jasmine.objectContaining({ gutterIndex: 0, index: 1 }))
+
+        split.off('collapse', collapse)
+        split.toggle(1)
+        split.collapse(1)
+
+        expect(collapse.calls.count()).toBe(1)
+        expect(expand.calls.count()).toBe(1)
+
+        split.destroy()
+
+        expect(destroy).toHaveBeenCalled()
+    })
+
+    it('adds panes with their gutters', function() {
+        var split = Split(['#a', '#b'], { sizes: [40, 60], minSize: 0 })
+        var d = document.createElement('div')
+
+        split.addPane(d, { index: 1, size: 20, minSize: 0 })
+
+        expect(this.a.nextSibling.nextSibling).toBe(d)
+        expect(d.nextSibling.nextSibling).toBe(this.b)
+        expect(split.pairs.length).toBe(2)
+        expect(split.pairs[1].isLast).toBe(true)
+        expect(split.getSizes()[0]).toBeCloseTo(32)
+        expect(split.getSizes()[1]).toBeCloseTo(20)
+        expect(split.getSizes()[2]).toBeCloseTo(48)
+        expect(d.style.width).toContain('calc(20% - 10px)')
+
+        keydown(d.nextSibling, 39)
+
+        expect(split.getSizes()[1]).toBeGreaterThan(20)
+
+        split.removePane(1)
+    })
+
+    it('adds panes with an equal share of grow weights in flex-grow mode', function() {
+        var split = Split(['#a', '#b'], { mode: 'flex-grow', sizes: [1, 3], minSize: 0 })
+        var d = document.createElement('div')
+
+        split.addPane(d)
+
+        expect(split.getSizes()[0]).toBeCloseTo(0.67)
+        expect(split.getSizes()[1]).toBeCloseTo(2)
+        expect(split.getSizes()[2]).toBeCloseTo(1.33)
+        expect(d.style.flex).toContain('1.33')
+
+        split.removePane(2)
+
+        expect(split.getSizes()[0]).toBeCloseTo(1)
+        expect(split.getSizes()[1]).toBeCloseTo(3)
+    })
+
+    it('adds panes with an equal share of fr units in grid mode', function() {
+        if (!('gridTemplateColumns' in document.body.style)) {
+            pending('CSS Grid is not supported')
+        }
+
+        var split = Split(['#a', '#b'], { mode: 'grid', sizes: [1, 3], minSize: 0 })
+        var d = document.createElement('div')
+
+        split.addPane(d)
+
+        expect(split.getSizes()[0]).toBeCloseTo(0.67)
+        expect(split.getSizes()[2]).toBeCloseTo(1.33)
+        expect(document.body.style.gridTemplateColumns).not.toContain('(0, 0fr)')
+
+        split.destroy()
+        document.body.removeChild(d)
+    })
+
+    it('keeps collapsed elements collapsed when panes are added or removed', function() {
+        var split = Split(['#a', '#b'])
+        var d = document.createElement('div')
+
+        split.collapse(0)
+        split.addPane(d)
+
+        expect(split.isCollapsed(0)).toBe(true)
+        expect(this.a.getBoundingClientRect().width).toBeLessThan(1)
+
+        split.removePane(2)
+
+        expect(split.isCollapsed(0)).toBe(true)
+        expect(this.a.getBoundingClientRect().width).toBeLessThan(1)
+    })
+
+    it('adds panes at the start with the instance min size', function() {
+        var split = Split(['#a', '#b'], { sizes: [40, 60], minSize: 0 })
+        var d = document.createElement('div')
+
+        split.addPane(d, { index: -1, size: 20 })
+
+        expect(d.nextSibling.nextSibling).toBe(this.a)
+        expect(split.pairs.length).toBe(2)
+        expect(split.getSizes()[0]).toBeCloseTo(20)
+
+        keydown(d.nextSibling, 36)
+
+        expect(split.getSizes()[0]).toBeLessThan(1)
+
+        split.removePane(0)
+    })
+
+    it('removes panes and gives their size to the others', function() {
+        var split = Split(['#a', '#b', '#c'], { sizes: [25, 50, 25], minSize: 0 })
+
+        expect(split.removePane(2)).toBe(this.c)
+        expect(this.c.parentNode).toBe(null)
+        expect(split.getSizes()[0]).toBeCloseTo(33.33)
+        expect(split.getSizes()[1]).toBeCloseTo(66.67)
+        expect(split.pairs.length).toBe(1)
+        expect(this.b.style.width).toContain('calc(66.6')
+        expect(this.b.style.width).toContain('5px)')
+
+        document.body.appendChild(this.c)
+    })
+
+    it('switches direction at runtime', function() {
+        var split = Split(['#a', '#b'], { sizes: [25, 75], minSize: 0 })
+        var gutter = this.a.nextSibling
+
+        split.setDirection('vertical')
+
+        expect(this.a.style.width).toBe('')
+        expect(this.a.style.height).toContain('calc(25% - 5px)')
+        expect(gutter.className).toBe('gutter gutter-vertical')
+        expect(gutter.style.width).toBe('')
+        expect(gutter.style.height).toBe('10px')
+        expect(gutter.getAttribute('aria-orientation')).toBe('horizontal')
+
+        keydown(gutter, 40)
+
+        expect(split.getSizes()[0]).toBeGreaterThan(25)
+
+        split.setDirection('horizontal')
+
+        expect(this.a.style.height).toBe('')
+        expect(this.a.style.width).toContain('%')
+        expect(gutter.className).toBe('gutter gutter-horizontal')
+    })
+
+    it('keeps collapsed elements collapsed when switching direction', function() {
+        var split = Split(['#a', '#b'])
+
+        split.collapse(0)
+        split.setDirection('vertical')
+
+        expect(split.isCollapsed(0)).toBe(true)
+        expect(this.a.getBoundingClientRect().height).toBeLessThan(1)
+
+        split.setDirection('horizontal')
+
+        expect(split.isCollapsed(0)).toBe(true)
+        expect(this.a.getBoundingClientRect().width).toBeLessThan(1)
+
+        split.destroy()
+    })
+
+    it('switches direction and stacks at breakpoints', function(done) {
+        var a = this.a
+        var gutter
+        var split = Split(['#a', '#b'], {
+            sizes: [25, 75],
+            minSize: 0,
+            breakpoints: [
+                { maxWidth: 600, direction: 'vertical' },
+                { maxWidth: 400, stack: true },
+            ],
+        })
+
+        gutter = a.nextSibling
+
+        expect(a.style.width).toContain('calc(25% - 5px)')
+
+        resize('500px', function () {
+            expect(gutter.className).toBe('gutter gutter-vertical')
+            expect(a.style.height).toContain('calc(25% - 5px)')
+
+            resize('300px', function () {
+                expect(gutter.style.display).toBe('none')
+                expect(a.style.width).toContain('100%')
+                expect(split.getSizes()).toEqual([25, 75])
+
+                split.addPane(document.createElement('div'), { minSize: 0 })
+
+                expect(split.pairs[1].gutter.style.display).toBe('none')
+
+                resize('800px', function () {
+                    expect(gutter.style.display).toBe('')
+                    expect(split.pairs[1].gutter.style.display).toBe('')
+
+                    split.removePane(2)
+                    expect(gutter.className).toBe('gutter gutter-horizontal')
+                    expect(a.style.width).toContain('calc(25% - 5px)')
+
+                    split.destroy()
+                    done()
+                })
+            })
+        })
+    })
+
+    it('stacks in a column in flex mode', function(done) {
+        var a = this.a
+        var split = Split(['#a', '#b'], {
+            mode: 'flex',
+            sizes: [25, 75],
+            minSize: 0,
+            breakpoints: [{ maxWidth: 400, stack: true }],
+        })
+
+        document.body.style.flexDirection = 'row'
+
+        resize('300px', function () {
+            expect(document.body.style.flexDirection).toBe('column')
+            expect(a.style.flex).toBe('')
+            expect(a.style.width).toBe('')
+
+            resize('800px', function () {
+                expect(document.body.style.flexDirection).toBe('row')
+                expect(a.style.flex).toContain('calc(25% - 5px)')
+
+                split.destroy()
+                document.body.style.flexDirection = ''
+                done()
+            })
+        })
+    })
+
+    it('keeps collapsed elements collapsed when stacking and growing back', function(done) {
+        var a = this.a
+        var split = Split(['#a', '#b'], {
+            breakpoints: [{ maxWidth: 400, stack: true }],
+        })
+
+        split.collapse(0)
+
+        resize('300px', function () {
+            resize('800px', function () {
+                expect(split.isCollapsed(0)).toBe(true)
+                expect(a.getBoundingClientRect().width).toBeLessThan(1)
+
+                split.destroy()
+                done()
+            })
+        })
+    })
+
+    it('keeps min sizes when the parent shrinks', function(done) {
+        var split = Split(['#a', '#b', '#c'], { sizes: [25, 50, 25], minSize: 150 })
+        var overconstrained = jasmine.createSpy('overconstrained')
+
+        split.on('overconstrained', overconstrained)
+
+        resize('500px', function () {
+            expect(split.getSizes()[0]).toBeCloseTo(31)
+            expect(split.getSizes()[1]).toBeCloseTo(38)
+            expect(split.getSizes()[2]).toBeCloseTo(31)
+            expect(overconstrained).not.toHaveBeenCalled()
+
+            resize('300px', function () {
+                expect(overconstrained).toHaveBeenCalled()
+
+                document.body.style.width = '800px'
+                split.destroy()
+                done()
+            })
+        })
+    })
+
+    it('keeps flex grow weights that are not percentages', function() {
+        this.a.style.width = '200px'
+        this.b.style.width = '590px'
+
+        var split = Split(['#a', '#b'], { mode: 'flex-grow', sizes: [1, 3] })
+
+        expect(split.getSizes()).toEqual([1, 3])
+        expect(this.a.style.flex).toBe('1 1 0px')
+    })
+
+    it('keeps fixed elements at their size in pixels', function() {
+        var split = Split(['#a', '#b', '#c'], {
+            sizes: ['200px', 50, 50],
+            fixed: [true, false, false],
+            minSize: 0,
+        })
+
+        expect(this.a.style.width).toBe('200px')
+        expect(this.b.style.width).toContain('calc(50% - 112.5px)')
+        expect(split.getSizes()).toEqual(['200px', 50, 50])
+
+        var c = this.c.getBoundingClientRect().width
+
+        keydown(this.a.nextSibling, 39)
+
+        expect(split.getSizes()[0]).toBe('210px')
+        expect(this.a.style.width).toBe('210px')
+        expect(this.c.getBoundingClientRect().width).toBeCloseTo(c)
+
+        split.setSizes(['150px', 30, 70])
+
+        expect(split.getSizes()).toEqual(['150px', 30, 70])
+        expect(this.a.style.width).toBe('150px')
+    })
+
+    it('resets or collapses a pair on gutter double click', function() {
+        var split = Split(['#a', '#b', '#c'], {
+            sizes: [20, 30, 50],
+            onGutterDoubleClick: 'reset',
+        })
+        var gutter = this.a.nextSibling
+
+        split.setSizes([40, 10, 50])
+        click(gutter)
+        click(gutter)
+
+        expect(split.getSizes()[0]).toBeCloseTo(20)
+        expect(split.getSizes()[1]).toBeCloseTo(30)
+        expect(split.getSizes()[2]).toBeCloseTo(50)
+
+        split.destroy()
+        split = Split(['#a', '#b'], {
+            sizes: [30, 70],
+            onGutterDoubleClick: 'collapse',
+        })
+        gutter = this.a.nextSibling
+
+        click(gutter)
+
+        expect(split.isCollapsed(0)).toBe(false)
+
+        click(gutter)
+
+        expect(split.isCollapsed(0)).toBe(true)
+
+        click(gutter)
+        click(gutter)
+
+        expect(split.isCollapsed(0)).toBe(false)
+        expect(split.getSizes()[0]).toBeCloseTo(30)
+    })
+
+    it('resets persisted sizes to the sizes option on gutter double click', function() {
+        localStorage.setItem('split-test', JSON.stringify({ version: 0, sizes: [30, 70] }))
+
+        var split = Split(['#a', '#b'], {
+            sizes: [60, 40],
+            persist: 'split-test',
+            onGutterDoubleClick: 'reset',
+        })
+
+        expect(split.getSizes()).toEqual([30, 70])
+
+        click(this.a.nextSibling)
+        click(this.a.nextSibling)
+
+        expect(split.getSizes()[0]).toBeCloseTo(60)
+        expect(split.getSizes()[1]).toBeCloseTo(40)
+
+        localStorage.removeItem('split-test')
+    })
+
+    it('collapses the smaller element into the pair that was double clicked', function() {
+        var split = Split(['#a', '#b', '#c'], {
+            sizes: [40, 20, 40],
+            minSize: 0,
+            onGutterDoubleClick: 'collapse',
+        })
+
+        click(this.a.nextSibling)
+        click(this.a.nextSibling)
+
+        expect(split.getCollapsed()).toEqual([false, true, false])
+        expect(this.b.getBoundingClientRect().width).toBe(0)
+        expect(split.getSizes()[0] + split.getSizes()[1]).toBeCloseTo(60)
+        expect(split.getSizes()[2]).toBeCloseTo(40)
+
+        click(this.a.nextSibling)
+        click(this.a.nextSibling)
+
+        expect(split.getCollapsed()).toEqual([false, false, false])
+        expect(split.getSizes()[0]).toBeCloseTo(40)
+        expect(split.getSizes()[1]).toBeCloseTo(20)
+    })
+
+    it('counts taps that jitter a little as a double click', function() {
+        var split = Split(['#a', '#b'], {
+            sizes: [30, 70],
+            onGutterDoubleClick: 'collapse',
+        })
+        var gutter = this.a.nextSibling
+        var left = this.a.getBoundingClientRect().left
+
+        drag(gutter, 'down', left + 240)
+        drag(gutter, 'move', left + 242)
+        drag(gutter, 'up', left + 242)
+        click(gutter)
+        drag(gutter, 'down', left + 242)
+        drag(gutter, 'move', left + 241)
+        drag(gutter, 'up', left + 241)
+        click(gutter)
+
+        expect(split.isCollapsed(0)).toBe(true)
+
+        drag(gutter, 'down', left + 5)
+        drag(gutter, 'move', left + 100)
+        drag(gutter, 'up', left + 100)
+        click(gutter)
+        click(gutter)
+
+        expect(split.isCollapsed(0)).toBe(false)
+    })
+
+    it('calls a function on gutter double click', function() {
+        var onGutterDoubleClick = jasmine.createSpy('onGutterDoubleClick')
+
+        Split(['#a', '#b', '#c'], {
+            onGutterDoubleClick: onGutterDoubleClick,
+        })
+
+        click(this.b.nextSibling)
+        click(this.b.nextSibling)
+
+        expect(onGutterDoubleClick).toHaveBeenCalledTimes(1)
+        expect(onGutterDoubleClick.calls.argsFor(0)[0].gutterIndex).toBe(1)
+        expect(onGutterDoubleClick.calls.argsFor(0)[0].sizes.length).toBe(3)
+    })
+
+    it('undoes and redoes changes', function() {
+        var split = Split(['#a', '#b', '#c'], {
+            sizes: [20, 30, 50],
+            minSize: 0,
+            history: 2,
+        })
+        var gutter = this.a.nextSibling
+        var left = this.a.getBoundingClientRect().left
+
+        expect(split.canUndo()).toBe(false)
+
+        drag(gutter, 'down', left + 160)
+        drag(gutter, 'move', left + 200)
+        drag(gutter, 'move', left + 240)
+        drag(gutter, 'up', left + 240)
+
+        var dragged = split.getSizes()
+
+        split.collapse(2)
+
+        expect(split.canUndo()).toBe(true)
+
+        split.undo()
+
+        expect(split.isCollapsed(2)).toBe(false)
+        expect(split.getSizes()).toEqual(dragged)
+        expect(split.canRedo()).toBe(true)
+
+        split.undo()
+
+        expect(split.getSizes()[0]).toBeCloseTo(20)
+        expect(split.canUndo()).toBe(false)
+
+        split.redo()
+        split.redo()
+
+        expect(split.isCollapsed(2)).toBe(true)
+        expect(split.canRedo()).toBe(false)
+
+        split.setSizes([10, 10, 80])
+        split.undo()
+        split.undo()
+
+        expect(split.getSizes()).toEqual(dragged)
+        expect(split.canUndo()).toBe(false)
+    })
+
+    it('keeps the history when panes are added or removed', function() {
+        var split = Split(['#a', '#b'], { sizes: [40, 60], minSize: 0, history: true })
+        var d = document.createElement('div')
+
+        split.setSizes([30, 70])
+        split.addPane(d)
+
+        expect(split.canUndo()).toBe(true)
+
+        split.undo()
+        split.undo()
+
+        expect(split.getSizes()[0]).toBeCloseTo(26.67)
+        expect(split.getSizes()[1]).toBeCloseTo(40)
+        expect(split.getSizes()[2]).toBeCloseTo(33.33)
+        expect(split.canUndo()).toBe(false)
+
+        split.redo()
+        split.redo()
+
+        expect(split.getSizes()[0]).toBeCloseTo(20)
+        expect(split.getSizes()[1]).toBeCloseTo(46.67)
+
+        split.removePane(2)
+        split.undo()
+
+        expect(split.getSizes()[0]).toBeCloseTo(30)
+        expect(split.getSizes()[1]).toBeCloseTo(70)
+        expect(split.canUndo()).toBe(true)
+
+        split.destroy()
+    })
+
+    it('keeps redo when the parent is resized after undoing', function(done) {
+        var split = Split(['#a', '#b'], { sizes: [40, 60], minSize: 200, history: true })
+
+        split.setSizes([50, 50])
+        split.undo()
+
+        expect(split.canRedo()).toBe(true)
+
+        resize('400px', function () {
+            expect(split.getSizes()[0]).toBeGreaterThan(45)
+            expect(split.canRedo()).toBe(true)
+
+            split.redo()
+
+            expect(split.getSizes()).toEqual([50, 50])
+
+            split.destroy()
+            done()
+        })
+    })
+
+    it('uses the window and document from the options', function() {
+        var doc = document.implementation.createHTMLDocument('')
+        var parent = doc.createElement('div')
+
+        parent.innerHTML = '<div id="one"></div><div id="two"></div>'
+        doc.body.appendChild(parent)
+
+        Split(['#one', '#two'], {
+            window: window,
+            document: doc,
+        })
+
+        expect(parent.children.length).toBe(3)
+        expect(parent.children[1].className).toBe('gutter gutter-horizontal')
+        expect(doc.getElementById('one').style.width).toContain('50%')
+    })
+
+    it('listens to the window of elements in an iframe', function() {
+        var iframe = document.createElement('iframe')
+
+        document.body.appendChild(iframe)
+
+        var doc = iframe.contentDocument
+        var one = doc.createElement('div')
+        var two = doc.createElement('div')
+
+        doc.body.appendChild(one)
+        doc.body.appendChild(two)
+
+        Split([one, two])
+
+        var gutter = one.nextSibling
+
+        drag(gutter, 'down', 0)
+
+        expect(doc.body.style.cursor).toBe('ew-resize')
+        expect(document.body.style.cursor).toBe('')
+
+        drag(gutter, 'up', 0)
+
+        expect(doc.body.style.cursor).toBe('')
+
+        document.body.removeChild(iframe)
+    })
+
+    it('looks up selectors in the root', function() {
+        var container = document.createElement('div')
+
+        container.innerHTML = '<div class="one"></div><div class="two"></div>'
+        document.body.appendChild(container)
+
+        var split = Split(['.one', '.two'], {
+            root: container,
+            sizes: [25, 75],
+        })
+
+        expect(container.children.length).toBe(3)
+        expect(container.firstChild.style.width).toContain('25%')
+
+        split.destroy()
+        document.body.removeChild(container)
+    })
+
+    it('splits elements in a shadow root', function() {
+        if (!this.a.attachShadow) {
+            pending('Shadow DOM is not supported')
+        }
+
+        var host = document.createElement('div')
+        var shadow = host.attachShadow({ mode: 'open' })
+
+        shadow.innerHTML = '<div><div id="one"></div><div id="two"></div></div>'
+        document.body.appendChild(host)
+
+        var split = Split(['#one', '#two'], { root: shadow })
+
+        var gutter = shadow.getElementById('one').nextSibling
+
+        expect(gutter.className).toBe('gutter gutter-horizontal')
+
+        drag(gutter, 'down', 0)
+
+        expect(host.style.cursor).toBe('ew-resize')
+        expect(document.body.style.cursor).toBe('')
+
+        drag(gutter, 'up', 0)
+
+        expect(host.style.cursor).toBe('')
+
+        split.destroy()
+        document.body.removeChild(host)
+    })
+
+    it('reads the flex direction of slotted elements from their slot', function() {
+        if (!this.a.attachShadow) {
+            pending('Shadow DOM is not supported')
+        }
+
+        var host = document.createElement('div')
+        var shadow = host.attachShadow({ mode: 'open' })
+
+        shadow.innerHTML = '<div style="display: flex; flex-direction: column"><slot></slot></div>'
+        host.innerHTML = '<div class="one"></div><div class="two"></div>'
+        document.body.appendChild(host)
+
+        var split = Split(['.one', '.two'], { root: host, mode: 'flex' })
+
+        expect(host.children[1].className).toBe('gutter gutter-vertical')
+
+        split.destroy()
+        document.body.removeChild(host)
+    })
+
+    it('puts gutters into the named slot of slotted elements', function() {
+        if (!this.a.attachShadow) {
+            pending('Shadow DOM is not supported')
+        }
+
+        var host = document.createElement('div')
+        var shadow = host.attachShadow({ mode: 'open' })
+
+        shadow.innerHTML = '<div style="display: flex"><slot name="panes"></slot></div>'
+        host.innerHTML = '<div class="one" slot="panes"></div><div class="two" slot="panes"></div>'
+        document.body.appendChild(host)
+
+        var split = Split(['.one', '.two'], { root: host, mode: 'flex' })
+
+        expect(host.children[1].className).toBe('gutter gutter-horizontal')
+        expect(host.children[1].slot).toBe('panes')
+
+        split.destroy()
+        document.body.removeChild(host)
+    })
+
+    it('builds nested layouts from a tree', function() {
+        var container = document.createElement('div')
+        var tree = {
+            sizes: [25, 75],
+            minSize: 0,
+            children: [
+                { id: 'files' },
+                {
+                    direction: 'vertical',
+                    sizes: [70, 30],
+                    minSize: 0,
+                    children: [{ id: 'editor' }, { id: 'terminal' }],
+                },
+            ],
+        }
+
+        document.body.appendChild(container)
+
+        var layout = Split.layout(container, tree)
+        var editor = document.getElementById('editor')
+
+        expect(editor.parentNode.parentNode).toBe(container)
+        expect(document.getElementById('files').style.width).toContain('calc(25% - 5px)')
+        expect(editor.style.height).toContain('calc(70% - 5px)')
+
+        expect(layout.getSizes()).toEqual([25, 75])
+        expect(layout.getSizes([1])).toEqual([70, 30])
+        expect(layout.getSizes([0])).toBeUndefined()
+
+        layout.getSplit([1]).setSizes([40, 60])
+
+        expect(layout.serialize()).toEqual({
+            sizes: [25, 75],
+            minSize: 0,
+            children: [
+                { id: 'files' },
+                {
+                    direction: 'vertical',
+                    sizes: [40, 60],
+                    minSize: 0,
+                    children: [{ id: 'editor' }, { id: 'terminal' }],
+                },
+            ],
+        })
+
+        layout.destroy()
+
+        expect(container.childNodes.length).toBe(0)
+        document.body.removeChild(container)
+    })
+
+    it('moves existing elements into nested layouts', function() {
+        var container = document.createElement('div')
+
+        container.innerHTML = '<div id="sidebar" class="sidebar">Files</div>'
+        document.body.appendChild(container)
+
+        var sidebar = document.getElementById('sidebar')
+        var layout = Split.layout(container, {
+            sizes: [25, 75],
+            minSize: 0,
+            children: [{ id: 'sidebar' }, { id: 'main' }],
+        })
+
+        expect(container.firstChild).toBe(sidebar)
+        expect(sidebar.className).toBe('sidebar')
+        expect(sidebar.textContent).toBe('Files')
+        expect(sidebar.style.width).toContain('calc(25% - 5px)')
+        expect(document.getElementById('main').className).toBe('split')
+        expect(container.children.length).toBe(3)
+
+        layout.destroy()
+
+        expect(container.children.length).toBe(1)
+        expect(container.firstChild).toBe(sidebar)
+        expect(sidebar.style.width).toBe('')
+        document.body.removeChild(container)
+    })
+
+    it('finds existing elements with any id', function() {
+        var container = document.createElement('div')
+        var pane = document.createElement('div')
+
+        pane.id = 'a"b'
+        container.appendChild(pane)
+        document.body.appendChild(container)
+
+        var layout = Split.layout(container, {
+            minSize: 0,
+            children: [{ id: 'a"b' }, { id: 'c' }],
+        })
+
+        expect(container.firstChild).toBe(pane)
+        expect(container.children.length).toBe(3)
+
+        layout.destroy()
+        document.body.removeChild(container)
+    })
 })